@@ -0,0 +1,265 @@
+'use strict';
+
+const utils = require('./utils');
+
+/**
+ * The RSQL/FIQL comparison operators and the selectors they stand for. Any other `=name=` operator
+ * uses the selector with that name.
+ */
+const comparators = {
+  '==': 'eq',
+  '!=': 'ne',
+  '<': 'lt',
+  '=lt=': 'lt',
+  '<=': 'lte',
+  '=le=': 'lte',
+  '>': 'gt',
+  '=gt=': 'gt',
+  '>=': 'gte',
+  '=ge=': 'gte',
+  '=in=': 'in',
+  '=out=': 'nin',
+};
+
+/**
+ * Returns an error for a filter that cannot be parsed or is not allowed.
+ *
+ * @param message
+ * @returns {Error}
+ */
+const filterError = (message) => {
+  const error = new Error(message);
+  error.name = 'FilterError';
+  error.status = 400;
+  return error;
+};
+
+const isPlainObject = (value) => utils.isObjectLike(value) && !Array.isArray(value);
+
+const isPrimitive = (value) => (value === null) || ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Parses an RSQL/FIQL expression, such as `status==active;(age>18,vip==true)`, into a filter tree.
+ *
+ * `;` or `and` combines the constraints with AND, `,` or `or` with OR, and parentheses group them.
+ * Values containing reserved characters are quoted with single or double quotes.
+ *
+ * @param input
+ * @returns {Object}
+ */
+const parseRSQL = (input) => {
+  let pos = 0;
+
+  const fail = (message) => filterError(`${message} at position ${pos} of the filter.`);
+  const skipSpaces = () => {
+    while (pos < input.length && /\s/.test(input[pos])) {
+      pos++;
+    }
+  };
+  const match = (pattern) => {
+    const found = input.slice(pos).match(pattern);
+    if (found) {
+      pos += found[0].length;
+    }
+    return found;
+  };
+
+  const parseValue = () => {
+    skipSpaces();
+    const quote = input[pos];
+    if (quote === '"' || quote === '\'') {
+      let value = '';
+      pos++;
+      while (pos < input.length && input[pos] !== quote) {
+        if (input[pos] === '\\') {
+          pos++;
+        }
+        value += input[pos++];
+      }
+      if (pos >= input.length) {
+        throw fail('Unterminated string');
+      }
+      pos++;
+      return value;
+    }
+
+    const value = match(/^[^\s"'();,]+/);
+    if (!value) {
+      throw fail('Expected a value');
+    }
+    return value[0];
+  };
+
+  const parseArguments = () => {
+    skipSpaces();
+    if (input[pos] !== '(') {
+      return parseValue();
+    }
+    pos++;
+    const values = [parseValue()];
+    skipSpaces();
+    while (input[pos] === ',') {
+      pos++;
+      values.push(parseValue());
+      skipSpaces();
+    }
+    if (input[pos] !== ')') {
+      throw fail('Expected )');
+    }
+    pos++;
+    return values;
+  };
+
+  const parseComparison = () => {
+    const field = match(/^[^\s"'();,=!~<>]+/);
+    if (!field) {
+      throw fail('Expected a field');
+    }
+    const comparator = match(/^(==|!=|<=|>=|<|>|=[a-zA-Z]+=)/);
+    if (!comparator) {
+      throw fail(`Expected a comparison operator after ${field[0]}`);
+    }
+    return {
+      type: 'comparison',
+      field: field[0],
+      selector: comparators[comparator[0]] || comparator[0].slice(1, -1),
+      value: parseArguments(),
+    };
+  };
+
+  // Declared before use, as groups recurse back into parseOr.
+  let parseOr = null;
+  const parseConstraint = () => {
+    skipSpaces();
+    if (input[pos] !== '(') {
+      return parseComparison();
+    }
+    pos++;
+    const group = parseOr();
+    skipSpaces();
+    if (input[pos] !== ')') {
+      throw fail('Expected )');
+    }
+    pos++;
+    return group;
+  };
+
+  const parseLogical = (type, separator, parseChild) => () => {
+    const children = [parseChild()];
+    skipSpaces();
+    while (match(separator)) {
+      children.push(parseChild());
+      skipSpaces();
+    }
+    return (children.length === 1) ? children[0] : { type, children };
+  };
+
+  const parseAnd = parseLogical('and', /^(;|and\s)/i, parseConstraint);
+  parseOr = parseLogical('or', /^(,|or\s)/i, parseAnd);
+
+  const tree = parseOr();
+  skipSpaces();
+  if (pos < input.length) {
+    throw fail(`Unexpected ${input[pos]}`);
+  }
+  return tree;
+};
+
+/**
+ * Parses a JSON filter into a filter tree. The filter uses the MongoDB query syntax, limited to fields,
+ * `$and`, `$or` and `{ field: { $selector: value } }` conditions with plain values.
+ *
+ * @param input
+ * @returns {Object}
+ */
+const parseJSON = (input) => {
+  let query = null;
+  try {
+    query = JSON.parse(input);
+  }
+  catch (err) {
+    throw filterError(`Invalid JSON filter: ${err.message}`);
+  }
+
+  const getValue = (field, value) => {
+    if (isPrimitive(value) || (Array.isArray(value) && value.every(isPrimitive))) {
+      return value;
+    }
+    throw filterError(`Invalid value for ${field} in the filter.`);
+  };
+
+  const toTree = (query) => {
+    if (!isPlainObject(query)) {
+      throw filterError('Every condition of a JSON filter must be an object.');
+    }
+    const children = [];
+    Object.entries(query).forEach(([key, value]) => {
+      if ((key === '$and') || (key === '$or')) {
+        if (!Array.isArray(value) || !value.length) {
+          throw filterError(`${key} requires an array of conditions.`);
+        }
+        children.push({ type: key.slice(1), children: value.map(toTree) });
+      }
+      else if (key.startsWith('$')) {
+        throw filterError(`Unknown operator ${key} in the filter.`);
+      }
+      else if (isPlainObject(value)) {
+        Object.entries(value).forEach(([operator, argument]) => {
+          if (!operator.startsWith('$')) {
+            throw filterError(`Expected an operator for ${key}, got ${operator}.`);
+          }
+          children.push({
+            type: 'comparison',
+            field: key,
+            selector: operator.slice(1),
+            value: getValue(key, argument),
+          });
+        });
+      }
+      else {
+        children.push({ type: 'comparison', field: key, selector: 'eq', value: getValue(key, value) });
+      }
+    });
+    return (children.length === 1) ? children[0] : { type: 'and', children };
+  };
+
+  return toTree(query);
+};
+
+/**
+ * Parses a filter, either JSON when it starts with { or RSQL/FIQL otherwise, into a filter tree.
+ *
+ * @param input
+ * @returns {Object}
+ */
+const parse = (input) => {
+  if (typeof input !== 'string') {
+    throw filterError('The filter must be a single string.');
+  }
+  return input.trim().startsWith('{') ? parseJSON(input) : parseRSQL(input);
+};
+
+/**
+ * Compiles a filter tree into a MongoDB query.
+ *
+ * @param tree
+ * @param getCondition
+ *   Returns the condition for a comparison, or undefined to ignore it. Throws when it is not allowed.
+ * @returns {Object}
+ */
+const compile = (tree, getCondition) => {
+  if (tree.type === 'comparison') {
+    const condition = getCondition(tree);
+    return (condition === undefined) ? {} : { [tree.field]: condition };
+  }
+
+  const children = tree.children
+    .map((child) => compile(child, getCondition))
+    .filter((child) => !utils.isEmpty(child));
+  if (children.length < 2) {
+    return children.length ? children[0] : {};
+  }
+  return { [`$${tree.type}`]: children };
+};
+
+module.exports = { parse, parseRSQL, parseJSON, compile, filterError };
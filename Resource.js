@@ -1,8 +1,10 @@
 'use strict';
 
+const crypto = require('crypto');
 const paginate = require('node-paginate-anything');
 const jsonpatch = require('fast-json-patch');
 const mongodb = require('mongodb');
+const Filter = require('./Filter');
 const moment = require('moment');
 const parseRange = require('range-parser');
 const debug = {
@@ -13,7 +15,12 @@ const debug = {
   post: require('debug')('resourcejs:post'),
   patch: require('debug')('resourcejs:patch'),
   delete: require('debug')('resourcejs:delete'),
+  restore: require('debug')('resourcejs:restore'),
+  history: require('debug')('resourcejs:history'),
+  revert: require('debug')('resourcejs:revert'),
+  transaction: require('debug')('resourcejs:transaction'),
   virtual: require('debug')('resourcejs:virtual'),
+  aggregate: require('debug')('resourcejs:aggregate'),
   respond: require('debug')('resourcejs:respond'),
 };
 const utils = require('./utils');
@@ -25,6 +32,33 @@ class Resource {
     if (this.options.convertIds === true) {
       this.options.convertIds = /(^|\.)_id$/;
     }
+    if (this.options.softDelete) {
+      this.options.softDelete = { field: 'deleted', ...this.options.softDelete };
+    }
+    if (this.options.history) {
+      // The entries of the history are numbered with the version key of the items.
+      if (!model.schema.options.versionKey) {
+        throw new Error(`The history option of ${modelName} requires a version key in the schema.`);
+      }
+      this.options.history = {
+        actor: (req) => (req.user ? (req.user._id || req.user.id || null) : null),
+        ...this.options.history,
+      };
+    }
+    if (this.options.tenant) {
+      this.options.tenant = {
+        field: 'tenant',
+        ...((typeof this.options.tenant === 'function') ? { id: this.options.tenant } : this.options.tenant),
+      };
+    }
+    if (this.options.parent) {
+      // The parent id is the last parameter of the route, such as :parentId in /parent/:parentId.
+      const params = route.match(/:[^/]+/g) || [];
+      this.options.parent = {
+        param: params.length ? params[params.length - 1].slice(1) : null,
+        ...((typeof this.options.parent === 'string') ? { field: this.options.parent } : this.options.parent),
+      };
+    }
     this.name = modelName.toLowerCase();
     this.model = model;
     this.modelName = modelName;
@@ -33,6 +67,313 @@ class Resource {
     this._swagger = null;
   }
 
+  /**
+   * Responds with a 404 when the parent of a nested resource does not exist. The model of the parent is
+   * the model option of the parent, or the ref of its field.
+   *
+   * @param req
+   * @param res
+   * @param next
+   */
+  async checkParent(req, res, next) {
+    const parent = this.options.parent;
+    const path = this.model.schema.path(parent.field);
+    const ref = path && path.options.ref;
+    const model = parent.model || (ref && this.model.db.model((typeof ref === 'function') ? ref() : ref));
+    if (req.skipResource || !model) {
+      return next();
+    }
+    try {
+      if (await model.exists({ _id: req.params[parent.param] })) {
+        return next();
+      }
+    }
+    catch (err) {
+      debug.query(err);
+    }
+    // Skip the method, so the hooks and the response handle the 404 as any other response.
+    req.skipResource = true;
+    return Resource.setResponse(res, { status: 404 }, next);
+  }
+
+  /**
+   * Responds with a 403 when the tenant option finds no tenant for the request.
+   *
+   * @param req
+   * @param res
+   * @param next
+   */
+  checkTenant(req, res, next) {
+    if (req.skipResource || (this.getTenant(req) !== null)) {
+      return next();
+    }
+    req.skipResource = true;
+    const error = new Error('The request has no tenant.');
+    error.status = 403;
+    return Resource.setResponse(res, { status: 403, error }, next);
+  }
+
+  /**
+   * Returns the tenant id of the request from the tenant option, or null.
+   *
+   * @param req
+   * @returns {*}
+   */
+  getTenant(req) {
+    const tenant = this.options.tenant.id.call(this, req);
+    return ((tenant === undefined) || (tenant === null) || (tenant === '')) ? null : tenant;
+  }
+
+  /**
+   * Returns the fields the items of this request belong to: the tenant of the request and the parent
+   * of a nested resource from the route. Items are created with them and cannot change them.
+   *
+   * @param req
+   * @returns {Object}
+   */
+  getScopeFields(req) {
+    const fields = {};
+    const tenant = this.options.tenant;
+    if (tenant) {
+      // Without a tenant, no item matches.
+      const id = this.getTenant(req);
+      fields[tenant.field] = (id === null) ? { $in: [] } : id;
+    }
+    const parent = this.options.parent;
+    if (parent && (req.params[parent.param] !== undefined)) {
+      fields[parent.field] = req.params[parent.param];
+    }
+    return fields;
+  }
+
+  /**
+   * Starts a transaction for a write, when the transactions option is set. The session is available as
+   * req.session, and in the write options so that every write of the request joins the transaction.
+   *
+   * @param req
+   * @param res
+   * @param next
+   */
+  async startTransaction(req, res, next) {
+    if (req.skipResource) {
+      return next();
+    }
+    try {
+      const session = await this.model.db.startSession();
+      session.startTransaction();
+      req.session = session;
+      req.writeOptions = { ...req.writeOptions, session };
+    }
+    catch (err) {
+      debug.transaction(err);
+      req.skipResource = true;
+      return Resource.setResponse(res, { status: 500, error: err }, next);
+    }
+    return next();
+  }
+
+  /**
+   * Returns the session of the transaction of a request, when it is still running.
+   *
+   * @param req
+   * @returns {Object|null}
+   */
+  getTransaction(req) {
+    const session = this.options.transactions && req.session;
+    return (session && (typeof session.inTransaction === 'function') && session.inTransaction()) ? session : null;
+  }
+
+  /**
+   * Commits the transaction of a request once its response is ready, or aborts it when the request failed.
+   *
+   * @param req
+   * @param res
+   * @param next
+   */
+  async endTransaction(req, res, next) {
+    const session = this.getTransaction(req);
+    if (!session) {
+      return next();
+    }
+    try {
+      if (res.resource && (res.resource.status >= 400)) {
+        await session.abortTransaction();
+      }
+      else {
+        await session.commitTransaction();
+      }
+    }
+    catch (err) {
+      debug.transaction(err);
+      await this.abortTransaction(req);
+      return Resource.setResponse(res, { status: 500, error: err }, next);
+    }
+    await this.endSession(session);
+    return next();
+  }
+
+  /**
+   * Ends the session of a transaction. A failure only leaves the session to expire on the server.
+   *
+   * @param session
+   * @returns {Promise}
+   */
+  async endSession(session) {
+    try {
+      await session.endSession();
+    }
+    catch (err) {
+      debug.transaction(err);
+    }
+  }
+
+  /**
+   * Aborts the transaction of a request, if it is still running, and ends its session.
+   *
+   * @param req
+   * @returns {Promise}
+   */
+  async abortTransaction(req) {
+    const session = this.options.transactions && req.session;
+    if (!session || (typeof session.endSession !== 'function')) {
+      return;
+    }
+    try {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+    }
+    catch (err) {
+      debug.transaction(err);
+    }
+    await this.endSession(session);
+  }
+
+  /**
+   * Returns the model of the collection keeping the history of the items of this resource.
+   *
+   * @returns {Object}
+   */
+  getHistoryModel() {
+    const history = this.options.history;
+    if (!history.model) {
+      const name = `${this.model.modelName}_history`;
+      const { Schema } = this.model.base;
+      history.model = this.model.db.models[name] || this.model.db.model(name, new Schema({
+        item: { type: Schema.Types.ObjectId, required: true },
+        version: { type: Number, required: true },
+        method: String,
+        actor: Schema.Types.Mixed,
+        date: Date,
+        patch: [Schema.Types.Mixed],
+      }, { strict: false, versionKey: false }).index({ item: 1, version: 1 }, { unique: true }),
+      `${this.model.collection.collectionName}_history`);
+    }
+    return history.model;
+  }
+
+  /**
+   * Returns a plain copy of an item to record its changes, when the history option is set.
+   *
+   * @param item
+   * @returns {Object|null}
+   */
+  getSnapshot(item) {
+    return (this.options.history && item) ? JSON.parse(JSON.stringify(item)) : null;
+  }
+
+  /**
+   * Returns plain copies of the items matching the conditions, when the history option is set.
+   *
+   * @param query
+   * @param conditions
+   * @returns {Promise<Array>}
+   */
+  async getSnapshots(query, conditions) {
+    if (!this.options.history) {
+      return [];
+    }
+    // Clone the query so that it can still run the write.
+    return ((typeof query.clone === 'function') ? query.clone() : query).find(conditions).lean();
+  }
+
+  /**
+   * Records the changes of a write as JSON Patches in the history of the items, when the history
+   * option is set. Each entry also holds the method, the actor and the date of the write.
+   *
+   * @param req
+   * @param method
+   * @param changes
+   *   The items before and after the write, with null before a creation and after a deletion.
+   */
+  async saveHistory(req, method, changes) {
+    if (!this.options.history || !changes.length) {
+      return;
+    }
+    const { session } = req.writeOptions || {};
+    const versionKey = this.model.schema.options.versionKey;
+    const actor = this.options.history.actor.call(this, req);
+    const date = new Date();
+    // Every write increments the version key of the item, which numbers its entries without a lookup.
+    // A hard delete does not, so it takes the number after the last version of the item.
+    const entries = changes.map(([before, after]) => ({
+      ...this.getScopeFields(req),
+      item: (after || before)._id,
+      version: after ? (after[versionKey] || 0) + 1 : (before[versionKey] || 0) + 2,
+      method,
+      actor,
+      date,
+      patch: jsonpatch.compare(this.getSnapshot(before) || {}, this.getSnapshot(after) || {}),
+    }));
+    try {
+      await this.getHistoryModel().insertMany(entries, { session });
+    }
+    catch (err) {
+      // The write is already saved, so a failure only fails the request when its transaction can undo it.
+      debug.history(err);
+      if (this.getTransaction(req)) {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Replays the recorded changes of an item up to a version or a date.
+   *
+   * @param req
+   * @param until
+   *   Either { version } or { date }.
+   * @returns {Promise<Object|null>}
+   *   The version reached and the item at that version, or null when no change was recorded by then.
+   */
+  async getHistoryVersion(req, until) {
+    const query = { item: req.params[`${this.name}Id`], ...this.getScopeFields(req) };
+    if (until.version !== undefined) {
+      query.version = { $lte: until.version };
+    }
+    if (until.date !== undefined) {
+      query.date = { $lte: until.date };
+    }
+    const entries = await this.getHistoryModel().find(query).sort({ version: 1 }).lean();
+    if (!entries.length) {
+      return null;
+    }
+    // Only a history starting with the creation of the item holds all of its fields. The history of an item
+    // created before the history option was set only holds the fields that changed since.
+    if (entries[0].method !== 'post') {
+      const error = new Error(`The history of this ${this.name} does not start with its creation.`);
+      error.status = 409;
+      throw error;
+    }
+    return {
+      version: entries[entries.length - 1].version,
+      item: entries.reduce(
+        (document, entry) => jsonpatch.applyPatch(document, entry.patch, false, false).newDocument,
+        {}
+      ),
+    };
+  }
+
   /**
    * Maintain reverse compatibility.
    *
@@ -112,6 +453,22 @@ class Resource {
       routeStack = [...routeStack, ...before];
     }
 
+    // Resources of a tenant only respond to requests of a tenant.
+    if (this.options.tenant) {
+      routeStack = [...routeStack, this.checkTenant.bind(this)];
+    }
+
+    // Nested resources first make sure their parent exists.
+    if (this.options.parent) {
+      routeStack = [...routeStack, this.checkParent.bind(this)];
+    }
+
+    // Writes run in a transaction, committed once the after middleware is done.
+    const transaction = this.options.transactions && (method !== 'get');
+    if (transaction) {
+      routeStack = [...routeStack, this.startTransaction.bind(this)];
+    }
+
     routeStack = [...routeStack, callback.bind(this)];
 
     // The after middleware.
@@ -120,11 +477,16 @@ class Resource {
       routeStack = [...routeStack, ...after];
     }
 
+    if (transaction) {
+      routeStack = [...routeStack, this.endTransaction.bind(this)];
+    }
+
     routeStack = [...routeStack, last.bind(this)];
 
     // Add a fallback error handler.
     const error = (err, req, res, next) => {
       if (err) {
+        this.abortTransaction(req);
         const status = err.status ? err.status : 400;
         res.status(status).json({
           status,
@@ -186,7 +548,26 @@ class Resource {
     }
 
     if (res.resource) {
+      if (res.resource.etag) {
+        res.set('ETag', res.resource.etag);
+
+        // The client already has this version of the resource.
+        if (
+          ['index', 'get', 'aggregate'].includes(req.__rMethod) &&
+          (res.resource.status === 200 || res.resource.status === 206) &&
+          Resource.matchETag(req.headers['if-none-match'], res.resource.etag, true)
+        ) {
+          res.resource.status = 304;
+        }
+      }
+
+      // Leave out the fields this request may not read.
+      const item = Resource.omitFields(res.resource.item, res.resource.omit);
+
       switch (res.resource.status) {
+        case 304:
+          res.status(304).end();
+          break;
         case 404:
           res.status(404).json({
             status: 404,
@@ -194,19 +575,13 @@ class Resource {
           });
           break;
         case 400:
+        case 403:
+        case 409:
         case 500:
-          const errors = {};
-          for (let property in res.resource.error.errors) {
-            if (res.resource.error.errors.hasOwnProperty(property)) {
-              const error = res.resource.error.errors[property];
-              const { path, name, message } = error;
-              res.resource.error.errors[property] = { path, name, message };
-            }
-          }
           res.status(res.resource.status).json({
             status: res.resource.status,
             message: res.resource.error.message,
-            errors: res.resource.error.errors,
+            errors: Resource.getErrors(res.resource.error),
           });
           break;
         case 204:
@@ -215,7 +590,7 @@ class Resource {
           debug.respond(`204 -> ${req.__rMethod}`);
           switch (req.__rMethod) {
             case 'index':
-              res.status(200).json([]);
+              res.status(200).json(res.resource.envelope ? { data: [], ...res.resource.envelope } : []);
               break;
             default:
               res.status(200).json({});
@@ -223,7 +598,9 @@ class Resource {
           }
           break;
         default:
-          res.status(res.resource.status).json(res.resource.item);
+          res.status(res.resource.status).json(
+            res.resource.envelope ? { data: item, ...res.resource.envelope } : item
+          );
           break;
       }
     }
@@ -231,6 +608,84 @@ class Resource {
     next();
   }
 
+  /**
+   * Reduces the errors of an error object to their path, name and message.
+   *
+   * @param error
+   * @returns {*}
+   */
+  static getErrors(error) {
+    for (const property in error.errors) {
+      if (error.errors.hasOwnProperty(property)) {
+        const { path, name, message } = error.errors[property];
+        error.errors[property] = { path, name, message };
+      }
+    }
+    return error.errors;
+  }
+
+  /**
+   * Returns a hash of the provided value, to be used as an ETag.
+   *
+   * @param value
+   * @returns {string}
+   */
+  static getHash(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url');
+  }
+
+  /**
+   * Returns the ETag of an item. This is the version key of the item, or a hash of the item
+   * when the schema has no version key.
+   *
+   * @param item
+   * @returns {string}
+   */
+  getETag(item) {
+    const versionKey = (item.schema || this.model.schema).options.versionKey;
+    const version = versionKey ? item[versionKey] : undefined;
+    if (version !== undefined && version !== null) {
+      return `"${version}"`;
+    }
+    return `"${Resource.getHash(typeof item.toObject === 'function' ? item.toObject() : item)}"`;
+  }
+
+  /**
+   * Determines if an ETag matches the list of ETags of an If-Match or If-None-Match header.
+   *
+   * @param header
+   *   The header value.
+   * @param etag
+   *   The ETag of the resource.
+   * @param weak
+   *   Use the weak comparison of If-None-Match instead of the strong comparison of If-Match.
+   * @returns {boolean}
+   */
+  static matchETag(header, etag, weak) {
+    if (!header) {
+      return false;
+    }
+    if (header.trim() === '*') {
+      return true;
+    }
+    const strip = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some((tag) => weak ?
+      (strip(tag) === strip(etag)) :
+      (!/^\s*W\//.test(tag) && !etag.startsWith('W/') && (tag.trim() === etag))
+    );
+  }
+
+  /**
+   * Determines if the If-Match header of a request allows to change an item with the provided ETag.
+   *
+   * @param req
+   * @param etag
+   * @returns {boolean}
+   */
+  static checkIfMatch(req, etag) {
+    return !req.headers['if-match'] || Resource.matchETag(req.headers['if-match'], etag);
+  }
+
   static ObjectId(id) {
     try {
       return (new mongodb.ObjectId(id));
@@ -253,6 +708,59 @@ class Resource {
     next();
   }
 
+  /**
+   * Returns the next callback of an after hook. In a transaction, an error passed by the hook responds
+   * with an error, so that the transaction is aborted. Otherwise the write is saved already, so the
+   * error is only logged and the write is reported as a success.
+   *
+   * @param req
+   * @param res
+   * @param resource
+   * @param next
+   * @returns {Function}
+   */
+  hookResponse(req, res, resource, next) {
+    return (err) => {
+      if (err && this.getTransaction(req)) {
+        const status = [400, 403].includes(err.status) ? err.status : 500;
+        return Resource.setResponse(res, { status, error: err }, next);
+      }
+      if (err) {
+        debug.respond(err);
+      }
+      return Resource.setResponse(res, resource, next);
+    };
+  }
+
+  /**
+   * Sets the response of a failed save. The version key is part of the filter of the save, so a change
+   * made since the If-Match check fails with a VersionError, which responds with a 412 holding the
+   * current item. Other errors respond with a 400.
+   *
+   * @param res
+   * @param item
+   * @param err
+   * @param omit
+   * @param next
+   * @returns {Promise}
+   */
+  async setSaveErrorResponse(res, item, err, omit, next) {
+    if (err.name !== 'VersionError') {
+      return Resource.setResponse(res, { status: 400, error: err }, next);
+    }
+    try {
+      const current = await this.model.findById(item._id);
+      if (!current) {
+        return Resource.setResponse(res, { status: 404 }, next);
+      }
+      return Resource.setResponse(res, { status: 412, item: current, etag: this.getETag(current), omit }, next);
+    }
+    catch (error) {
+      debug.query(error);
+      return Resource.setResponse(res, { status: 400, error: err }, next);
+    }
+  }
+
   /**
    * Returns the method options for a specific method to be executed.
    * @param method
@@ -313,6 +821,19 @@ class Resource {
     return methodOptions;
   }
 
+  /**
+   * Calls a mongoose hook and resolves once it calls next. Passing an error to next rejects.
+   *
+   * @param hook
+   * @param req
+   * @param res
+   * @param item
+   * @returns {Promise}
+   */
+  callHook(hook, req, res, item) {
+    return new Promise((resolve, reject) => hook.call(this, req, res, item, (err) => err ? reject(err) : resolve()));
+  }
+
   /**
    * _register the whole REST api for this resource.
    *
@@ -324,10 +845,14 @@ class Resource {
       .index(options)
       .get(options)
       .virtual(options)
+      .aggregate(options)
       .put(options)
       .patch(options)
       .post(options)
-      .delete(options);
+      .delete(options)
+      .restore(options)
+      .history(options)
+      .revert(options);
   }
 
   /**
@@ -380,17 +905,32 @@ class Resource {
       }
     }
 
-    if (param.instance === 'Number') {
-      return parseInt(value, 10);
+    // Convert each of the values of a repeated parameter.
+    if (Array.isArray(value)) {
+      return value.map((item) => Resource.getQueryValue(name, item, param, options, selector));
     }
 
-    if (param.instance === 'Date') {
+    if ((param.instance === 'Date') && (typeof value === 'string')) {
       const date = moment.utc(value, ['YYYY-MM-DD', 'YYYY-MM', 'YYYY', 'x', moment.ISO_8601], true);
       if (date.isValid()) {
         return date.toDate();
       }
     }
 
+    // Convert the value to the type of the field, rejecting values that cannot be.
+    if (Resource.castTypes.includes(param.instance) && (typeof value === 'string')) {
+      try {
+        const cast = value.trim() ? param.cast(value) : null;
+        if ((cast !== null) && (cast !== undefined)) {
+          return cast;
+        }
+      }
+      catch (err) {
+        debug.query(err);
+      }
+      throw new Error(`Invalid ${param.instance} ${value} for ${name}.`);
+    }
+
     // If this is an ID, and the value is a string, convert to an ObjectId.
     if (
       options.convertIds &&
@@ -430,259 +970,1825 @@ class Resource {
   }
 
   /**
-   * Get the find query for the index.
+   * Counts the items for the index and returns the skip and limit of the requested page,
+   * setting the pagination headers on the response.
    *
    * @param req
+   * @param res
+   * @param countQuery
+   * @param findQuery
+   * @param pipeline
    * @returns {Object}
    */
-  getFindQuery(req, options, existing) {
-    const findQuery = {};
-    options = options || this.options;
+  async getPageRange(req, res, countQuery, findQuery, pipeline) {
+    const count = await this.countQuery(countQuery.find(Resource.getCountQuery(findQuery)), pipeline).countDocuments();
+    // Get the default limit.
+    const defaults = { limit: 10, skip: 0 };
+
+    const range = Resource.getRangeFromHeaders(req, count);
+    if (range) {
+      req.query.limit = req.query.limit || (range.end - range.start + 1);
+      req.query.skip = req.query.skip || range.start;
+
+      // Delete Range header to recreate it below for 'node-paginate-anything' compatibility
+      delete req.headers.range;
+    }
 
-    // Get the filters and omit the limit, skip, select, sort and populate.
-    const {limit, skip, select, sort, populate, ...filters} = req.query;
+    let { limit, skip } = req.query;
+    limit = parseInt(limit, 10);
+    limit = (isNaN(limit) || (limit < 0)) ? defaults.limit : limit;
+    skip = parseInt(skip, 10);
+    skip = (isNaN(skip) || (skip < 0)) ? defaults.skip : skip;
+    const reqQuery = { limit, skip };
+
+    // If a skip is provided, then set the range headers.
+    if (reqQuery.skip && !req.headers.range) {
+      req.headers['range-unit'] = 'items';
+      req.headers.range = `${reqQuery.skip}-${reqQuery.skip + (reqQuery.limit - 1)}`;
+    }
 
-    // Sets the findQuery property.
-    const setFindQuery = function(name, value) {
-      // Ensure we do not override any existing query parameters.
-      if (!existing || !existing.hasOwnProperty(name)) {
-        findQuery[name] = value;
-      }
+    // Get the page range.
+    const pageRange = paginate(req, res, count, reqQuery.limit) || {
+      limit: reqQuery.limit,
+      skip: reqQuery.skip,
     };
 
-    // Iterate through each filter.
-    Object.entries(filters).forEach(([name, value]) => {
-      // Get the filter object.
-      const filter = utils.zipObject(['name', 'selector'], name.split('__'));
+    // Make sure that if there is a range provided in the headers, it takes precedence.
+    if (req.headers.range) {
+      reqQuery.limit = pageRange.limit;
+      reqQuery.skip = pageRange.skip;
+    }
 
-      // See if this parameter is defined in our model.
-      const param = this.model.schema.paths[filter.name.split('.')[0]];
-      if (param) {
-        // See if this selector is a regular expression.
-        if (filter.selector === 'regex') {
-          // Set the regular expression for the filter.
-          const parts = value.match(/\/?([^/]+)\/?([^/]+)?/);
-          let regex = null;
-          try {
-            regex = new RegExp(parts[1], (parts[2] || 'i'));
-          }
-          catch (err) {
-            debug.query(err);
-            regex = null;
-          }
-          if (regex) {
-            setFindQuery(filter.name, regex);
-          }
-          return;
-        } // See if there is a selector.
-        else if (filter.selector) {
-          var filterQuery = findQuery[filter.name];
-          // Init the filter.
-          if (!filterQuery) {
-            filterQuery = {};
-          }
+    // Keep the total and the requested page size for the envelope links.
+    reqQuery.count = count;
+    reqQuery.pageSize = limit;
+    return reqQuery;
+  }
 
-          if (filter.selector === 'exists') {
-            value = ((value === 'true') || (value === '1')) ? true : value;
-            value = ((value === 'false') || (value === '0')) ? false : value;
-            value = !!value;
+  /**
+   * Returns the meta data and page links that wrap the items of the index in the envelope response format.
+   *
+   * @param req
+   * @param page
+   *   The skip, limit and total count of the index.
+   * @param cursor
+   *   The cursor pagination state, if the index uses cursor pagination.
+   * @returns {Object}
+   */
+  static getEnvelope(req, page, cursor) {
+    if (cursor) {
+      return {
+        meta: { total: page.count, skip: null, limit: cursor.limit },
+        links: {
+          self: Resource.getPageUrl(req, {}),
+          next: cursor.links.next || null,
+          prev: cursor.links.prev || null,
+          first: Resource.getPageUrl(req, { cursor: null }),
+          last: null,
+        },
+      };
+    }
+
+    const { count, skip } = page;
+    const limit = page.pageSize;
+    const pageUrl = (start) => Resource.getPageUrl(req, { skip: start, limit });
+    const last = limit ? Math.max(0, Math.floor((count - 1) / limit) * limit) : 0;
+    return {
+      meta: { total: count, skip, limit },
+      links: {
+        self: Resource.getPageUrl(req, {}),
+        next: (limit && (skip + limit < count)) ? pageUrl(skip + limit) : null,
+        prev: skip ? pageUrl(Math.max(0, skip - (limit || skip))) : null,
+        first: pageUrl(0),
+        last: pageUrl(last),
+      },
+    };
+  }
+
+  /**
+   * Returns the fields of the facets parameter, checked against the facets option of the resource. The fields
+   * this request may not read are not allowed either, as their counts would reveal their values.
+   *
+   * @param req
+   * @returns {Array|null}
+   */
+  getFacetFields(req) {
+    if ((req.query.facets === undefined) || !this.getReservedParams().facets) {
+      return null;
+    }
+    const error = (message) => Resource.queryError({ facets: { path: 'facets', name: 'QueryError', message } });
+    if (!this.options.facets) {
+      throw error(`Facets are not available on ${this.name}.`);
+    }
+    if (typeof req.query.facets !== 'string') {
+      throw error('The facets must be a single string.');
+    }
+    const fields = req.query.facets.split(',').map((field) => field.trim()).filter(Boolean);
+    const { unreadable } = this.getFieldAccess(req);
+    const denied = fields.filter((field) => !this.options.facets.includes(field) ||
+      Resource.coversField(field, unreadable));
+    if (denied.length) {
+      throw error(`Facets on ${denied.join(', ')} are not allowed.`);
+    }
+    return [...new Set(fields)];
+  }
+
+  /**
+   * Counts the items of the index for each value of the provided fields, in a single $facet aggregate
+   * over the same match as the index. Array fields count each of their values.
+   *
+   * @param fields
+   * @param query
+   *   The count query of the index, with the find query of the request.
+   * @param pipeline
+   * @returns {Object}
+   *   The values and their counts by field, such as { status: [{ value: 'active', count: 3 }] }.
+   */
+  async getFacets(fields, query, pipeline) {
+    const facet = {};
+    fields.forEach((field) => {
+      const path = this.model.schema.path(field);
+      facet[field] = [
+        ...((path && path.instance === 'Array') ? [{ $unwind: `$${field}` }] : []),
+        { $sortByCount: `$${field}` },
+      ];
+    });
+    const [result] = await this.model.aggregate([
+      { $match: query.cast() },
+      ...(pipeline || []),
+      { $facet: facet },
+    ]).exec();
+
+    const facets = {};
+    fields.forEach((field) => {
+      facets[field] = result[field].map(({ _id, count }) => ({ value: _id, count }));
+    });
+    return facets;
+  }
+
+  /**
+   * Returns the url of the current request with the provided query parameters replaced.
+   * Parameters set to null are removed.
+   *
+   * @param req
+   * @param params
+   * @returns {string}
+   */
+  static getPageUrl(req, params) {
+    const url = new URL(req.originalUrl || req.url, 'http://localhost');
+    Object.entries(params).forEach(([name, value]) => {
+      if (value === null) {
+        url.searchParams.delete(name);
+      }
+      else {
+        url.searchParams.set(name, value);
+      }
+    });
+    return `${url.pathname}${url.search}`;
+  }
+
+  /**
+   * Returns the keyset pagination state of the index from the limit, sort and cursor query parameters.
+   *
+   * The sort always ends with the _id so that every item has a unique position. A cursor
+   * holds the direction to continue in and the sort values of the item to continue from.
+   *
+   * @param req
+   * @returns {Object}
+   */
+  static getCursor(req) {
+    let limit = parseInt(req.query.limit, 10);
+    limit = (isNaN(limit) || (limit < 1)) ? 10 : limit;
+
+    const sort = (Resource.getParamQuery(req, 'sort') || '')
+      .split(' ')
+      .filter(Boolean)
+      .map((field) => (field.charAt(0) === '-') ? [field.slice(1), -1] : [field.replace(/^\+/, ''), 1]);
+    if (!sort.some(([field]) => field === '_id')) {
+      sort.push(['_id', sort.length ? sort[sort.length - 1][1] : 1]);
+    }
+
+    const cursor = { limit, sort, direction: 'next', values: null, query: null };
+    if (req.query.cursor) {
+      try {
+        const { d, v } = mongodb.BSON.EJSON.parse(Buffer.from(`${req.query.cursor}`, 'base64url').toString());
+        if (!['next', 'prev'].includes(d) || !Array.isArray(v) || (v.length !== sort.length)) {
+          throw new Error('Invalid cursor');
+        }
+        cursor.direction = d;
+        cursor.values = v;
+      }
+      catch (err) {
+        debug.query(err);
+        const error = new Error('The cursor is invalid or does not match the sort.');
+        error.status = 400;
+        throw error;
+      }
+
+      // Items after the cursor have the same values for the leading sort keys and
+      // a greater (or lesser) value for the next one.
+      cursor.query = {
+        $or: sort.map(([field, order], index) => {
+          const condition = {};
+          sort.slice(0, index).forEach(([previous], previousIndex) => {
+            condition[previous] = cursor.values[previousIndex];
+          });
+          const ascending = (order === 1) === (cursor.direction === 'next');
+          const value = cursor.values[index];
+
+          // Null and missing values sort before any other value, and never compare to them.
+          if (value === null) {
+            if (!ascending) {
+              return null;
+            }
+            condition[field] = { $ne: null };
           }
-          // Special case for in filter with multiple values.
-          else if (['in', 'nin', 'all'].includes(filter.selector)) {
-            value = Array.isArray(value) ? value : value.split(',');
-            value = value.map((item) => Resource.getQueryValue(filter.name, item, param, options, filter.selector));
+          else if (ascending) {
+            condition[field] = { $gt: value };
           }
           else {
-            // Set the selector for this filter name.
-            value = Resource.getQueryValue(filter.name, value, param, options, filter.selector);
+            condition.$or = [{ [field]: { $lt: value } }, { [field]: null }];
           }
+          return condition;
+        }).filter(Boolean),
+      };
+    }
 
-          filterQuery[`$${filter.selector}`] = value;
-          setFindQuery(filter.name, filterQuery);
-          return;
-        }
-        else {
-          // Set the find query to this value.
-          value = Resource.getQueryValue(filter.name, value, param, options, filter.selector);
-          setFindQuery(filter.name, value);
-          return;
-        }
+    // Going backwards reverses the sort, the items are put back in order once loaded.
+    cursor.querySort = {};
+    sort.forEach(([field, order]) => {
+      cursor.querySort[field] = (cursor.direction === 'prev') ? -order : order;
+    });
+    return cursor;
+  }
+
+  /**
+   * Encodes the cursor to continue from an item in the given direction.
+   *
+   * @param direction
+   * @param sort
+   * @param item
+   * @returns {string}
+   */
+  static encodeCursor(direction, sort, item) {
+    const values = sort.map(([field]) => field.split('.').reduce(
+      (value, key) => (value == null ? null : value[key]),
+      item
+    ));
+    return Buffer.from(mongodb.BSON.EJSON.stringify({ d: direction, v: values })).toString('base64url');
+  }
+
+  /**
+   * Trims the page of items loaded with a cursor and sets the Link header to the next and previous pages.
+   *
+   * @param req
+   * @param res
+   * @param cursor
+   * @param items
+   * @returns {Array}
+   */
+  static setCursorLinks(req, res, cursor, items) {
+    // One more item than the limit is loaded to know if there are more items.
+    const more = items.length > cursor.limit;
+    items = items.slice(0, cursor.limit);
+    if (cursor.direction === 'prev') {
+      items.reverse();
+    }
+
+    cursor.links = {};
+    const hasNext = (cursor.direction === 'next') ? more : !!cursor.values;
+    const hasPrev = (cursor.direction === 'prev') ? more : !!cursor.values;
+    if (items.length && hasNext) {
+      cursor.links.next = Resource.getPageUrl(req, {
+        cursor: Resource.encodeCursor('next', cursor.sort, items[items.length - 1]),
+      });
+    }
+    if (items.length && hasPrev) {
+      cursor.links.prev = Resource.getPageUrl(req, {
+        cursor: Resource.encodeCursor('prev', cursor.sort, items[0]),
+      });
+    }
+
+    const links = Object.entries(cursor.links).map(([rel, url]) => `<${url}>; rel="${rel}"`);
+    if (links.length) {
+      res.setHeader('Link', links.join(', '));
+      res.setHeader('Access-Control-Expose-Headers', 'Link');
+    }
+    return items;
+  }
+
+  /**
+   * Returns the conditions limiting which items of the resource this request can reach, combined
+   * with the provided query. Nested resources are limited to the items of their parent, and soft
+   * deleted items are left out unless the request may see them.
+   *
+   * @param req
+   * @param query
+   * @returns {Object}
+   */
+  getScopeQuery(req, query) {
+    const scope = this.getScopeFields(req);
+    const softDelete = this.options.softDelete;
+    if (softDelete) {
+      const withDeleted = (req.query.withDeleted === 'true') &&
+        (typeof softDelete.withDeleted === 'function') &&
+        softDelete.withDeleted(req);
+      if (!withDeleted) {
+        scope[softDelete.field] = null;
       }
+    }
+
+    if (utils.isEmpty(query)) {
+      return scope;
+    }
+    return utils.isEmpty(scope) ? query : { $and: [query, scope] };
+  }
 
-      if (!options.queryFilter) {
-        // Set the find query to this value.
-        setFindQuery(filter.name, value);
+  /**
+   * Returns the fields that cannot be read and the fields that cannot be written by this request,
+   * from the readOnly, writeOnly and hidden rules of the fields option. The parent field of a nested
+   * resource is set from the route, and the soft delete field by delete and restore, so they cannot be
+   * written either.
+   *
+   * @param req
+   * @returns {{unreadable: Array, unwritable: Array}}
+   */
+  getFieldAccess(req) {
+    const access = {
+      unreadable: [],
+      unwritable: [this.options.tenant, this.options.parent, this.options.softDelete]
+        .filter(Boolean)
+        .map(({ field }) => field),
+    };
+    Object.entries(this.options.fields || {}).forEach(([path, rule]) => {
+      const mode = (typeof rule === 'function') ? rule.call(this, req) : rule;
+      if (mode === 'writeOnly' || mode === 'hidden') {
+        access.unreadable.push(path);
+      }
+      if (mode === 'readOnly' || mode === 'hidden') {
+        access.unwritable.push(path);
       }
     });
+    return access;
+  }
 
-    // Return the findQuery.
-    return findQuery;
+  /**
+   * Determines if a path is one of the fields, inside one of them, or contains one of them.
+   *
+   * @param path
+   * @param fields
+   * @returns {boolean}
+   */
+  static coversField(path, fields) {
+    return fields.some((field) => !path || (path === field) ||
+      path.startsWith(`${field}.`) ||
+      field.startsWith(`${path}.`)
+    );
   }
 
-  countQuery(query, pipeline) {
-    // We cannot use aggregation if mongoose special options are used... like populate.
-    if (!utils.isEmpty(query._mongooseOptions) || !pipeline) {
-      return query;
+  /**
+   * Converts a JSON pointer to a schema path, ignoring array indexes.
+   *
+   * @param pointer
+   * @returns {string}
+   */
+  static getPatchPath(pointer) {
+    return pointer.split('/')
+      .slice(1)
+      .filter((key) => !/^(\d+|-)$/.test(key))
+      .map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .join('.');
+  }
+
+  /**
+   * Removes the operations on the given fields, and those fields from the values of the other operations,
+   * from a JSON Patch.
+   *
+   * @param patch
+   * @param fields
+   * @returns {Array}
+   */
+  static omitPatchFields(patch, fields) {
+    if (!fields || !fields.length) {
+      return patch;
     }
-    const stages = [
-      { $match: query.getQuery() },
-      ...pipeline,
-      { $count: 'count' },
-    ];
-    return {
-      async countDocuments() {
-        const items = await query.model.aggregate(stages).exec()
-        return items.length ? items[0].count : 0;
-      },
-    };
+    return patch
+      .filter((op) => {
+        const path = Resource.getPatchPath(op.path);
+        return !fields.some((field) => (path === field) || path.startsWith(`${field}.`));
+      })
+      .map((op) => {
+        const prefix = Resource.getPatchPath(op.path);
+        const nested = fields
+          .filter((field) => !prefix || field.startsWith(`${prefix}.`))
+          .map((field) => (prefix ? field.slice(prefix.length + 1) : field));
+        return (nested.length && utils.isObjectLike(op.value))
+          ? { ...op, value: Resource.omitFields(op.value, nested) }
+          : op;
+      });
   }
 
-  indexQuery(query, pipeline) {
-    // We cannot use aggregation if mongoose special options are used... like populate.
-    if (!utils.isEmpty(query._mongooseOptions) || !pipeline) {
-      return query.lean();
+  /**
+   * Applies a JSON Merge Patch (RFC 7396) to a plain value. Null values remove the keys, objects are
+   * merged and any other value replaces the target.
+   *
+   * @param target
+   * @param patch
+   * @returns {*}
+   */
+  static mergePatch(target, patch) {
+    if (!utils.isObjectLike(patch) || Array.isArray(patch)) {
+      return patch;
     }
+    const result = (utils.isObjectLike(target) && !Array.isArray(target)) ? { ...target } : {};
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === null) {
+        delete result[key];
+      }
+      else {
+        result[key] = Resource.mergePatch(result[key], value);
+      }
+    });
+    return result;
+  }
 
-    const stages = [
-      { $match: query.getQuery() },
-    ];
+  /**
+   * Returns the first JSON Patch operation that touches a field this request may not write, or may not read.
+   *
+   * @param patches
+   * @param access
+   *   The unreadable and unwritable fields, as returned by getFieldAccess.
+   * @returns {Object|undefined}
+   */
+  static getForbiddenPatch(patches, access) {
+    const { unreadable, unwritable } = access;
+    const hidden = [...unreadable, ...unwritable];
+    const toPath = Resource.getPatchPath;
+    return patches.find((patch) => utils.isObjectLike(patch) && (
+      ((typeof patch.path === 'string') &&
+        Resource.coversField(toPath(patch.path), (patch.op === 'test') ? unreadable : unwritable)) ||
+      ((typeof patch.from === 'string') && Resource.coversField(toPath(patch.from), hidden))
+    ));
+  }
 
-    if (query.options && query.options.sort && !utils.isEmpty(query.options.sort)) {
-      stages.push({ $sort: query.options.sort });
-    }
-    if (query.options && query.options.skip) {
-      stages.push({ $skip: query.options.skip });
-    }
-    if (query.options && query.options.limit) {
-      stages.push({ $limit: query.options.limit });
+  /**
+   * Returns the select of the query without the provided fields.
+   *
+   * @param select
+   *   The select query parameter.
+   * @param fields
+   *   The fields to leave out.
+   * @returns {string}
+   */
+  static getSelect(select, fields) {
+    if (!fields.length) {
+      return select;
     }
-    if (!utils.isEmpty(query._fields)) {
-      stages.push({ $project: query._fields });
+    const covered = (key) => {
+      const path = key.replace(/^[+-]/, '');
+      return fields.some((field) => (path === field) || path.startsWith(`${field}.`));
+    };
+
+    // A + forces mongoose to load a field its schema does not select, so these are left out in any case.
+    const keys = (select ? select.split(' ') : []).filter((key) => !key.startsWith('+') || !covered(key));
+
+    // Without a select, or with an exclusion, the fields are excluded as well.
+    if (!keys.length || keys.some((key) => key.startsWith('-'))) {
+      return [...keys, ...fields.map((field) => `-${field}`)].join(' ');
     }
-    stages.push(...pipeline);
-    return query.model.aggregate(stages);
+
+    // Otherwise they are left out of the inclusion.
+    const allowed = keys.filter((key) => !covered(key));
+    return allowed.length ? allowed.join(' ') : '_id';
   }
 
   /**
-   * The index for a resource.
+   * Returns the populate of the request. Without the populate option, the populate parameter is used as it is.
    *
-   * @param options
+   * The populate option lists the refs that may be populated. A rule of true populates the whole related
+   * item. A rule object may limit the fields of the related items with select, allow populating their own
+   * refs with nested populate rules, and apply the fields option and the scope of the related resource.
+   * Nested refs are requested as dotted paths, such as populate=author.publisher.
+   *
+   * With the tenant option, the related items have to belong to the tenant of the request as well, unless a
+   * rule names their resource, whose own scope applies instead.
+   *
+   * @param req
+   * @returns {*}
    */
-  index(options) {
-    options = Resource.getMethodOptions('index', options);
-    this.methods.push('index');
-    this._register('get', this.route, async (req, res, next) => {
-      // Store the internal method for response manipulation.
-      req.__rMethod = 'index';
+  getPopulate(req) {
+    const populate = Resource.getParamQuery(req, 'populate');
+    const rules = this.options.populate;
+    const tenant = this.options.tenant;
+    const tenantMatch = tenant ? { [tenant.field]: this.getScopeFields(req)[tenant.field] } : {};
+    if (populate && !rules && tenant) {
+      return populate.split(' ').map((path) => ({ path, match: tenantMatch }));
+    }
+    if (!populate || !rules) {
+      return populate;
+    }
+    const error = (message) => Resource.queryError({ populate: { path: 'populate', name: 'QueryError', message } });
+    if (typeof populate !== 'string') {
+      throw error('The populate parameter must be a list of paths.');
+    }
 
-      // Allow before handlers the ability to disable resource CRUD.
-      if (req.skipResource) {
-        debug.index('Skipping Resource');
-        return next();
+    const addPopulate = (list, levelRules, name, requested) => {
+      const path = Object.keys(levelRules)
+        .filter((key) => levelRules[key] && ((name === key) || name.startsWith(`${key}.`)))
+        .sort((a, b) => b.length - a.length)[0];
+      if (!path) {
+        throw error(`Populating ${requested} is not allowed.`);
       }
-
-      // Get the query object.
-      let countQuery = req.countQuery || req.modelQuery || req.model || this.model;
-      const query = req.modelQuery || req.model || this.model;
-
-      // Make sure to clone the count query if it is available.
-      if (typeof countQuery.clone === 'function') {
-        countQuery = countQuery.clone();
-        // countQuery pipeline gets removed by clone() so add it back
-        countQuery.pipeline = req.countQuery.pipeline;
+      const rule = (levelRules[path] === true) ? {} : levelRules[path];
+      let item = list.find((existing) => existing.path === path);
+      if (!item) {
+        item = { path };
+        const unreadable = rule.resource ? rule.resource.getFieldAccess(req).unreadable : [];
+        const select = Resource.getSelect(rule.select ? [].concat(rule.select).join(' ') : null, unreadable);
+        if (select) {
+          item.select = select;
+        }
+        const match = rule.resource ? rule.resource.getScopeQuery(req) : tenantMatch;
+        if (!utils.isEmpty(match)) {
+          item.match = match;
+        }
+        list.push(item);
       }
+      if (name !== path) {
+        item.populate = item.populate || [];
+        addPopulate(item.populate, rule.populate || {}, name.slice(path.length + 1), requested);
+      }
+    };
 
-      // Get the find query.
-      const findQuery = this.getFindQuery(req, null, query._conditions);
+    const result = [];
+    populate.split(' ').forEach((name) => addPopulate(result, rules, name, name));
+    return result;
+  }
 
-      // First get the total count.
-      try {
-        const count = await this.countQuery( countQuery.find(findQuery), countQuery.pipeline || query.pipeline).countDocuments();
-        // Get the default limit.
-        const defaults = { limit: 10, skip: 0 };
+  /**
+   * Returns a select limited to the fields a select allows. The allowed select either includes or
+   * excludes fields, such as the select of a populate rule.
+   *
+   * @param select
+   * @param allowed
+   * @returns {string}
+   */
+  static restrictSelect(select, allowed) {
+    if (!allowed) {
+      return select;
+    }
+    const allowedKeys = allowed.split(' ');
+    if (allowedKeys.every((key) => key.startsWith('-'))) {
+      return Resource.getSelect(select, allowedKeys.map((key) => key.slice(1)));
+    }
 
-        const range = Resource.getRangeFromHeaders(req, count);
-        if (range) {
-          req.query.limit = req.query.limit || (range.end - range.start + 1);
-          req.query.skip = req.query.skip || range.start;
+    const covers = (key, field) => (key === field) || key.startsWith(`${field}.`);
+    const keys = select.split(' ');
+    if (keys.some((key) => key.startsWith('-'))) {
+      const excluded = keys.map((key) => key.replace(/^-/, ''));
+      const kept = allowedKeys.filter((key) => !excluded.some((field) => covers(key, field)));
+      return kept.length ? kept.join(' ') : '_id';
+    }
+    const kept = [
+      ...keys.filter((key) => allowedKeys.some((field) => covers(key, field))),
+      ...allowedKeys.filter((field) => keys.some((key) => field.startsWith(`${key}.`))),
+    ];
+    return kept.length ? kept.join(' ') : '_id';
+  }
 
-          // Delete Range header to recreate it below for 'node-paginate-anything' compatibility
-          delete req.headers.range;
+  /**
+   * Returns the projection of the select and populate query parameters, used by the index and get.
+   *
+   * Fields may be dotted paths, and excluded with a leading -. Paths into a populated relation, such as
+   * author.name with populate=author, select the fields of the populated items. The fields this request
+   * may not read are always left out.
+   *
+   * @param req
+   * @param required
+   *   Fields the query has to read, such as the sort keys of a cursor. They are added to an inclusion, and
+   *   removed from an exclusion, in which case the omit of the projection lists the excluded fields to leave
+   *   out of the response instead.
+   * @returns {{select: (string|null), populate: *, omit: Array}}
+   */
+  getProjection(req, required) {
+    let select = Resource.getParamQuery(req, 'select');
+    let populate = this.getPopulate(req);
+    const exclusion = select && /(^| )-/.test(select);
+
+    // Move the paths into populated relations to the select of their populate.
+    if (select && populate && (typeof populate === 'string')) {
+      populate = populate.split(' ').map((path) => ({ path }));
+    }
+    if (select && Array.isArray(populate)) {
+      const selects = {};
+      const keys = select.split(' ').map((key) => {
+        const field = key.replace(/^-/, '');
+        const item = populate.find((item) => field.startsWith(`${item.path}.`));
+        if (!item) {
+          return key;
         }
+        selects[item.path] = [...(selects[item.path] || []), key.replace(`${item.path}.`, '')];
+        return exclusion ? null : item.path;
+      });
+      select = [...new Set(keys.filter(Boolean))].join(' ') || null;
+      populate = populate.map((item) => (selects[item.path] ?
+        { ...item, select: Resource.restrictSelect(selects[item.path].join(' '), item.select) } :
+        item));
+    }
 
-        let { limit, skip } = req.query
-        limit = parseInt(limit, 10)
-        limit = (isNaN(limit) || (limit < 0)) ? defaults.limit : limit
-        skip = parseInt(skip, 10)
-        skip = (isNaN(skip) || (skip < 0)) ? defaults.skip : skip
-        const reqQuery = { limit, skip };
-
-        // If a skip is provided, then set the range headers.
-        if (reqQuery.skip && !req.headers.range) {
-          req.headers['range-unit'] = 'items';
-          req.headers.range = `${reqQuery.skip}-${reqQuery.skip + (reqQuery.limit - 1)}`;
-        }
+    let omit = [];
+    if (select && required && required.length) {
+      const keys = select.split(' ');
+      if (exclusion) {
+        const reads = (key) => required.some((field) => (field === key) || field.startsWith(`${key}.`));
+        omit = keys.map((key) => key.replace(/^-/, '')).filter(reads);
+        select = keys.filter((key) => !reads(key.replace(/^-/, ''))).join(' ') || null;
+      }
+      else {
+        select = [...new Set([...keys, ...required])].join(' ');
+      }
+    }
+    return {
+      select: Resource.getSelect(select, this.getFieldAccess(req).unreadable) || null,
+      populate,
+      omit,
+    };
+  }
+
+  /**
+   * Returns a plain copy of an item, or of each item of a list, without the provided fields.
+   *
+   * @param item
+   * @param fields
+   * @returns {Object}
+   */
+  static omitFields(item, fields) {
+    if (!item || !fields || !fields.length) {
+      return item;
+    }
+    if (Array.isArray(item)) {
+      return item.map((entry) => Resource.omitFields(entry, fields));
+    }
+    const result = JSON.parse(JSON.stringify(item));
+    fields.forEach((field) => utils.unset(result, field));
+    // Dotted keys, as accepted by mongoose, are not reached by unset.
+    Object.keys(result).forEach((key) => {
+      if (fields.some((field) => (key === field) || key.startsWith(`${field}.`))) {
+        delete result[key];
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Returns the schema path a filter on the provided field applies to. Dotted names resolve through
+   * nested objects, subdocuments and document arrays. Nested objects, such as a GeoJSON point, have
+   * no path of their own and are returned as a Nested path. Other dotted names fall back to the
+   * path of their first part, such as a Mixed field.
+   *
+   * @param name
+   * @returns {Object|undefined}
+   */
+  getParam(name) {
+    const schema = this.model.schema;
+    if (schema.path(name)) {
+      return schema.path(name);
+    }
+    const root = name.split('.')[0];
+    if (schema.paths[root]) {
+      return schema.paths[root];
+    }
+    if (schema.pathType(root) === 'nested') {
+      return { path: root, instance: 'Nested', options: {} };
+    }
+    return undefined;
+  }
 
-        // Get the page range.
-        const pageRange = paginate(req, res, count, reqQuery.limit) || {
-          limit: reqQuery.limit,
-          skip: reqQuery.skip,
-        };
+  /**
+   * Returns the SchemaType of the values a filter on the provided field compares with. Dotted names resolve
+   * into nested objects, subdocuments, document arrays and maps, and arrays resolve to the type of their items.
+   *
+   * @param name
+   * @returns {Object|undefined}
+   */
+  getSchemaType(name) {
+    let schemaType = this.model.schema.path(name);
+    while (schemaType && schemaType.caster && schemaType.caster.instance) {
+      schemaType = schemaType.caster;
+    }
+    return schemaType;
+  }
 
-        // Make sure that if there is a range provided in the headers, it takes precedence.
-        if (req.headers.range) {
-          reqQuery.limit = pageRange.limit;
-          reqQuery.skip = pageRange.skip;
+  /**
+   * Returns the query to count the items of a find query. $near sorts by distance and cannot be counted,
+   * so it is replaced with the equivalent $geoWithin a sphere, or a circle for legacy coordinates.
+   *
+   * @param query
+   * @returns {*}
+   */
+  static getCountQuery(query) {
+    if (Array.isArray(query)) {
+      return query.map((item) => Resource.getCountQuery(item));
+    }
+    if (!Resource.isOperators(query) && !(utils.isObjectLike(query) && query.constructor === Object)) {
+      return query;
+    }
+
+    const countQuery = {};
+    Object.entries(query).forEach(([key, value]) => {
+      if (key !== '$near') {
+        countQuery[key] = Resource.getCountQuery(value);
+        return;
+      }
+      // Without a maximum distance, every item with a location is near.
+      const maxDistance = value.$geometry ? value.$maxDistance : query.$maxDistance;
+      countQuery.$exists = true;
+      if (maxDistance !== undefined) {
+        countQuery.$geoWithin = value.$geometry ?
+          { $centerSphere: [value.$geometry.coordinates, maxDistance / Resource.earthRadius] } :
+          { $center: [value, maxDistance] };
+      }
+    });
+    delete countQuery.$maxDistance;
+    return countQuery;
+  }
+
+  /**
+   * Returns the kind of geospatial field of a path: 2dsphere or 2d when it has a geospatial index,
+   * geojson when it holds GeoJSON without an index, or null when it is not a geospatial field.
+   *
+   * @param schema
+   * @param path
+   * @returns {string|null}
+   */
+  static getGeoType(schema, path) {
+    const index = schema.indexes()
+      .map(([fields]) => fields[path])
+      .find((type) => (type === '2dsphere') || (type === '2d'));
+    if (index) {
+      return index;
+    }
+    return schema.path(`${path}.coordinates`) ? 'geojson' : null;
+  }
+
+  /**
+   * Determines if the schema of this resource has a text index, needed for the q parameter.
+   *
+   * @returns {boolean}
+   */
+  hasTextIndex() {
+    return this.model.schema.indexes().some(([fields]) => Object.values(fields).includes('text'));
+  }
+
+  /**
+   * Returns the name of the filter parameter, filter unless the filterParam option renames it.
+   *
+   * @returns {string}
+   */
+  getFilterName() {
+    return this.options.filterParam || 'filter';
+  }
+
+  /**
+   * Returns which query parameters this resource reserves, besides the paging and projection ones. Without
+   * its option, a parameter is only reserved when the schema has no field of that name to filter on.
+   *
+   * @returns {Object}
+   */
+  getReservedParams() {
+    const reserved = (name, option) => !!option || !this.getParam(name);
+    return {
+      // The filterParam option renames the filter parameter, for the schemas with a filter field.
+      [this.getFilterName()]: reserved(this.getFilterName(), this.options.filterParam),
+      cursor: reserved('cursor', this.options.pagination === 'cursor'),
+      q: reserved('q', this.hasTextIndex()),
+      envelope: reserved('envelope', this.options.envelope),
+      withDeleted: reserved('withDeleted', this.options.softDelete),
+      facets: reserved('facets', this.options.facets),
+    };
+  }
+
+  /**
+   * Determines if score in the select and sort of this request is the relevance of a full-text search.
+   *
+   * @param req
+   * @returns {boolean}
+   */
+  isTextScore(req) {
+    return (typeof req.query.q === 'string') && this.hasTextIndex() && !this.model.schema.path('score');
+  }
+
+  /**
+   * Replaces score in the select and sort with the relevance of the full-text search.
+   *
+   * @param select
+   * @param sort
+   * @returns {{select: string, sort: (string|Object), score: boolean}}
+   */
+  static getTextScore(select, sort) {
+    const meta = { $meta: 'textScore' };
+    const selectKeys = select ? select.split(' ') : [];
+    const score = selectKeys.includes('score');
+    if (score) {
+      select = selectKeys.filter((key) => key !== 'score').join(' ') || '_id';
+    }
+
+    // The text score can only be sorted from the most to the least relevant.
+    const sortKeys = sort ? sort.split(' ') : [];
+    if (sortKeys.some((key) => key.replace(/^-/, '') === 'score')) {
+      sort = {};
+      sortKeys.forEach((key) => {
+        const field = key.replace(/^-/, '');
+        sort[field] = (field === 'score') ? meta : (key.startsWith('-') ? -1 : 1);
+      });
+    }
+    return { select, sort, score };
+  }
+
+  /**
+   * Returns the query selectors of this resource, the registered selectors extended with the selectors option.
+   * A selector set to null in the option is disabled for this resource.
+   *
+   * @param options
+   * @returns {Object}
+   */
+  getSelectors(options) {
+    options = options || this.options;
+    const selectors = { ...Resource.selectors, ...options.selectors };
+    Object.keys(selectors).forEach((name) => {
+      if (typeof selectors[name] !== 'function') {
+        delete selectors[name];
+      }
+    });
+    return selectors;
+  }
+
+  /**
+   * Determines if a query parameter value can be used as a filter: a string, or a list of strings.
+   *
+   * @param value
+   * @returns {boolean}
+   */
+  static isFilterValue(value) {
+    return (typeof value === 'string') || (Array.isArray(value) && value.every((item) => typeof item === 'string'));
+  }
+
+  /**
+   * Determines if a condition is an object of query operators, such as { $gt: 1 }.
+   *
+   * @param condition
+   * @returns {boolean}
+   */
+  static isOperators(condition) {
+    return utils.isObjectLike(condition) &&
+      (condition.constructor === Object) &&
+      Object.keys(condition).every((key) => key.startsWith('$'));
+  }
+
+  /**
+   * Returns an error for query parameters that are not allowed. The errors are keyed by parameter.
+   *
+   * @param errors
+   * @returns {Error}
+   */
+  static queryError(errors) {
+    const error = new Error('The query contains parameters that are not allowed.');
+    error.name = 'QueryError';
+    error.status = 400;
+    error.errors = errors;
+    return error;
+  }
+
+  /**
+   * Checks a filter against the filter rules of the queryable option.
+   *
+   * @param filter
+   *   The name and selector of the filter.
+   * @param rules
+   *   The operators allowed for each path.
+   * @param selectors
+   *   The selectors of the resource, all allowed for the paths set to true.
+   * @returns {string|null}
+   *   The reason the filter is not allowed, or null when it is allowed.
+   */
+  static getQueryableError(filter, rules, selectors) {
+    const operator = filter.selector || 'eq';
+    const allowed = rules[filter.name];
+    if (!allowed) {
+      return `Filtering on ${filter.name} is not allowed.`;
+    }
+    const operators = (allowed === true) ? ['eq', ...Object.keys(selectors)] : [].concat(allowed);
+    if (!operators.includes(operator)) {
+      return `The ${operator} operator is not allowed on ${filter.name}.`;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the condition of a filter on a field, such as `age__gt=18` or the `age>18` comparison of the
+   * filter parameter. Throws an error when the filter is not allowed.
+   *
+   * @param filter
+   *   The name and selector of the filter.
+   * @param value
+   *   The value of the filter.
+   * @param param
+   *   The schema path of the field, if it is part of the model.
+   * @param options
+   * @param selectors
+   * @returns {*}
+   */
+  getFilterCondition(filter, value, param, options, selectors) {
+    if (options.unreadable && Resource.coversField(filter.name, options.unreadable)) {
+      throw new Error(`Filtering on ${filter.name} is not allowed.`);
+    }
+
+    const queryable = options.queryable;
+    if (queryable && queryable.filter) {
+      const message = Resource.getQueryableError(filter, queryable.filter, selectors);
+      if (message) {
+        throw new Error(message);
+      }
+    }
+
+    // Parameters outside of the model are used as they are.
+    if (!param) {
+      return value;
+    }
+
+    // Values are converted to the type of the field they compare with.
+    const schemaType = this.getSchemaType(filter.name) || param;
+
+    // Without a selector, the value is the condition.
+    if (!filter.selector) {
+      return Resource.getQueryValue(filter.name, value, schemaType, options, filter.selector);
+    }
+
+    const selector = selectors[filter.selector];
+    if (typeof selector !== 'function') {
+      throw new Error(`Unknown selector ${filter.selector} in ${filter.name}__${filter.selector}.`);
+    }
+    return selector.call(this, value, {
+      ...filter,
+      param: schemaType,
+      schema: this.model.schema,
+      options,
+      getValue: (item) => Resource.getQueryValue(filter.name, item, schemaType, options, filter.selector),
+    });
+  }
+
+  /**
+   * Compiles a filter expression, RSQL/FIQL or JSON, into a MongoDB query. With a prefix, such as the
+   * path of a document array for $elemMatch, the fields of the expression are relative to it.
+   *
+   * @param input
+   * @param options
+   * @param selectors
+   * @param prefix
+   * @returns {Object}
+   */
+  getFilterQuery(input, options, selectors, prefix) {
+    return Filter.compile(Filter.parse(input), (comparison) => {
+      const name = prefix ? `${prefix}.${comparison.field}` : comparison.field;
+      // The fields of the items of a document array are all in its schema.
+      const param = prefix ? this.model.schema.path(name) : this.getParam(name);
+      if (!param) {
+        throw Filter.filterError(`Unknown field ${comparison.field} in the filter.`);
+      }
+      return this.getFilterCondition(
+        { name, selector: comparison.selector },
+        comparison.value,
+        param,
+        options,
+        selectors
+      );
+    });
+  }
+
+  /**
+   * Get the find query for the index.
+   *
+   * @param req
+   * @returns {Object}
+   */
+  getFindQuery(req, options, existing) {
+    const findQuery = {};
+    options = options || this.options;
+
+    // Get the filters and omit the limit, skip, select, sort and populate.
+    const {
+      limit,
+      skip,
+      select,
+      sort,
+      populate,
+      ...filters
+    } = req.query;
+
+    // The parameters that depend on the options or the schema are only omitted when they are reserved.
+    const reservedParams = this.getReservedParams();
+    Object.entries(reservedParams)
+      .filter(([, reserved]) => reserved)
+      .forEach(([name]) => delete filters[name]);
+    const filterName = this.getFilterName();
+    const filterParam = reservedParams[filterName] ? req.query[filterName] : undefined;
+
+    // The fields this request may not read cannot be filtered or sorted on either, as the results would
+    // reveal their values.
+    const { unreadable } = this.getFieldAccess(req);
+    options = { ...options, unreadable };
+
+    // Make sure the filters and the sort are allowed by the queryable option.
+    const selectors = this.getSelectors(options);
+    const queryable = options.queryable;
+    const errors = {};
+    if (sort && ((queryable && queryable.sort) || unreadable.length)) {
+      const sortFields = (Resource.getParamQuery(req, 'sort') || '').split(' ').filter(Boolean);
+      const isTextScore = this.isTextScore(req);
+      const denied = sortFields
+        .map((field) => field.replace(/^-/, ''))
+        .filter((field) => !(isTextScore && (field === 'score')))
+        .filter((field) => (queryable && queryable.sort && !queryable.sort.includes(field)) ||
+          Resource.coversField(field, unreadable));
+      if (denied.length) {
+        errors.sort = { path: 'sort', name: 'QueryError', message: `Sorting on ${denied.join(', ')} is not allowed.` };
+      }
+    }
+
+    // Sets the findQuery property.
+    const setFindQuery = function(name, value) {
+      // Ensure we do not override any existing query parameters.
+      if (!existing || !existing.hasOwnProperty(name)) {
+        findQuery[name] = value;
+      }
+    };
+
+    // Iterate through each filter.
+    Object.entries(filters).forEach(([name, value]) => {
+      // Operators, such as ?$where=, and the objects of the bracket syntax, such as ?title[$ne]=,
+      // never reach the query.
+      if (name.split(/\.|__/).some((part) => part.startsWith('$'))) {
+        errors[name] = { path: name, name: 'QueryError', message: `The filter ${name} is not allowed.` };
+        return;
+      }
+      if (!Resource.isFilterValue(value)) {
+        const message = `The filter ${name} must be a string or a list of strings.`;
+        errors[name] = { path: name, name: 'QueryError', message };
+        return;
+      }
+
+      // Get the filter object.
+      const filter = utils.zipObject(['name', 'selector'], name.split('__'));
+
+      // See if this parameter is defined in our model.
+      const param = this.getParam(filter.name);
+
+      // Parameters outside of the model are ignored with the queryFilter option.
+      if (!param && options.queryFilter) {
+        return;
+      }
+
+      let condition;
+      try {
+        condition = this.getFilterCondition(filter, value, param, options, selectors);
+      }
+      catch (err) {
+        debug.query(err);
+        errors[name] = { path: name, name: 'QueryError', message: err.message };
+        return;
+      }
+
+      // Selectors without a condition, such as an invalid regular expression, are ignored.
+      if (condition === undefined) {
+        return;
+      }
+
+      // Combine operators on the same field, such as age__gt=1&age__lt=5.
+      const filterQuery = findQuery[filter.name];
+      if (filter.selector && Resource.isOperators(condition) && Resource.isOperators(filterQuery)) {
+        Object.assign(filterQuery, condition);
+        condition = filterQuery;
+      }
+      setFindQuery(filter.name, condition);
+    });
+
+    // Search the text index.
+    const q = reservedParams.q ? req.query.q : undefined;
+    if (q !== undefined) {
+      if (!this.hasTextIndex()) {
+        errors.q = { path: 'q', name: 'QueryError', message: `Full-text search is not available on ${this.name}.` };
+      }
+      else if (typeof q !== 'string') {
+        errors.q = { path: 'q', name: 'QueryError', message: 'The search must be a single string.' };
+      }
+      else {
+        findQuery.$text = { $search: q };
+      }
+    }
+
+    // Add the conditions of the filter parameter.
+    if (filterParam !== undefined) {
+      try {
+        const filterQuery = this.getFilterQuery(filterParam, options, selectors);
+        if (!utils.isEmpty(filterQuery)) {
+          const conditions = (Object.keys(filterQuery).length === 1 && filterQuery.$and) || [filterQuery];
+          findQuery.$and = [...(findQuery.$and || []), ...conditions];
+        }
+      }
+      catch (err) {
+        debug.query(err);
+        errors[filterName] = { path: filterName, name: 'QueryError', message: err.message };
+      }
+    }
+
+    if (!utils.isEmpty(errors)) {
+      throw Resource.queryError(errors);
+    }
+
+    // Return the findQuery.
+    return findQuery;
+  }
+
+  countQuery(query, pipeline) {
+    // We cannot use aggregation if mongoose special options are used... like populate.
+    if (!utils.isEmpty(query._mongooseOptions) || !pipeline) {
+      return query;
+    }
+    const stages = [
+      { $match: query.getQuery() },
+      ...pipeline,
+      { $count: 'count' },
+    ];
+    return {
+      async countDocuments() {
+        const items = await query.model.aggregate(stages).exec()
+        return items.length ? items[0].count : 0;
+      },
+    };
+  }
+
+  indexQuery(query, pipeline) {
+    // We cannot use aggregation if mongoose special options are used... like populate.
+    if (!utils.isEmpty(query._mongooseOptions) || !pipeline) {
+      return query.lean();
+    }
+
+    const stages = [
+      { $match: query.getQuery() },
+    ];
+
+    if (query.options && query.options.sort && !utils.isEmpty(query.options.sort)) {
+      stages.push({ $sort: query.options.sort });
+    }
+    if (query.options && query.options.skip) {
+      stages.push({ $skip: query.options.skip });
+    }
+    if (query.options && query.options.limit) {
+      stages.push({ $limit: query.options.limit });
+    }
+    if (!utils.isEmpty(query._fields)) {
+      stages.push({ $project: query._fields });
+    }
+    stages.push(...pipeline);
+    return query.model.aggregate(stages);
+  }
+
+  /**
+   * The index for a resource.
+   *
+   * @param options
+   */
+  index(options) {
+    options = Resource.getMethodOptions('index', options);
+    this.methods.push('index');
+    this._register('get', this.route, async (req, res, next) => {
+      // Store the internal method for response manipulation.
+      req.__rMethod = 'index';
+
+      // Allow before handlers the ability to disable resource CRUD.
+      if (req.skipResource) {
+        debug.index('Skipping Resource');
+        return next();
+      }
+
+      // Get the query object.
+      let countQuery = req.countQuery || req.modelQuery || req.model || this.model;
+      const query = req.modelQuery || req.model || this.model;
+
+      // Make sure to clone the count query if it is available.
+      if (typeof countQuery.clone === 'function') {
+        countQuery = countQuery.clone();
+        // countQuery pipeline gets removed by clone() so add it back
+        countQuery.pipeline = req.countQuery.pipeline;
+      }
+
+      try {
+        // Get the find query.
+        const findQuery = this.getFindQuery(req, null, query._conditions);
+        const scopeQuery = this.getScopeQuery(req);
+
+        // The envelope can be enabled for the resource, or per request.
+        const envelope = (req.query.envelope && this.getReservedParams().envelope) ?
+          (req.query.envelope === 'true') :
+          !!this.options.envelope;
+
+        // Cursor pagination continues from the cursor, so it only needs the total count for the envelope.
+        const cursor = (this.options.pagination === 'cursor') ? Resource.getCursor(req) : null;
+        const reqQuery = cursor ?
+          { limit: cursor.limit + 1, skip: 0 } :
+          await this.getPageRange(
+            req,
+            res,
+            countQuery,
+            this.getScopeQuery(req, findQuery),
+            countQuery.pipeline || query.pipeline
+          );
+        if (cursor && envelope) {
+          reqQuery.count = await this.countQuery(
+            countQuery.find(Resource.getCountQuery(this.getScopeQuery(req, findQuery))),
+            countQuery.pipeline || query.pipeline
+          ).countDocuments();
+        }
+
+        // Count the values of the requested facets over the same items.
+        const facetFields = this.getFacetFields(req);
+        const facets = facetFields && await this.getFacets(
+          facetFields,
+          countQuery.find(Resource.getCountQuery(this.getScopeQuery(req, findQuery))),
+          countQuery.pipeline || query.pipeline
+        );
+
+        // The cursor is built from the sort keys, so make sure they are selected.
+        const projection = this.getProjection(req, cursor ? cursor.sort.map(([field]) => field) : []);
+        const { unreadable } = this.getFieldAccess(req);
+        let select = projection.select;
+
+        // Expose and sort on the relevance of a full-text search as score.
+        let sort = Resource.getParamQuery(req, 'sort');
+        const textScore = this.isTextScore(req) ? Resource.getTextScore(select, sort) : null;
+        if (textScore) {
+          if (cursor && (textScore.sort !== sort)) {
+            const error = new Error('Sorting on the text score is not supported with cursor pagination.');
+            error.status = 400;
+            throw error;
+          }
+          select = textScore.select;
+          sort = textScore.sort;
+        }
+
+        // Next get the items within the index.
+        const queryExec = query
+          .find(findQuery)
+          .limit(reqQuery.limit)
+          .skip(reqQuery.skip);
+
+        // Mongoose ignores the score when it follows an exclusion, so it is selected first.
+        if (textScore && textScore.score) {
+          queryExec.select({ score: { $meta: 'textScore' } });
+        }
+        queryExec
+          .select(select)
+          .sort(cursor ? cursor.querySort : sort);
+
+        // Leave out the items outside of the scope of this request.
+        if (!utils.isEmpty(scopeQuery)) {
+          queryExec.and([scopeQuery]);
+        }
+
+        // Only continue after the cursor position.
+        if (cursor && cursor.query) {
+          queryExec.and([cursor.query]);
+        }
+
+        // Only call populate if they provide a populate query.
+        const populate = Resource.getParamQuery(req, 'populate');
+        if (populate) {
+          debug.index(`Populate: ${populate}`);
+          queryExec.populate(projection.populate);
+        }
+
+        options.hooks.index.before.call(
+          this,
+          req,
+          res,
+          findQuery,
+          async () => {
+            try {
+              let items = await this.indexQuery(queryExec, query.pipeline).exec();
+              if (cursor) {
+                items = Resource.setCursorLinks(req, res, cursor, items);
+              }
+              debug.index(items);
+              const response = { status: res.statusCode, item: items, omit: [...unreadable, ...projection.omit] };
+              if (envelope) {
+                response.envelope = Resource.getEnvelope(req, reqQuery, cursor);
+              }
+              if (facets && envelope) {
+                response.envelope.meta.facets = facets;
+              }
+              else if (facets) {
+                // Header values are limited to ASCII, so anything else is escaped in the JSON.
+                res.set('X-Facets', JSON.stringify(facets).replace(
+                  /[\u007f-\uffff]/g,
+                  (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+                ));
+                res.append('Access-Control-Expose-Headers', 'X-Facets');
+              }
+              response.etag = `W/"${Resource.getHash([
+                Resource.omitFields(items, response.omit),
+                response.envelope,
+                res.get('Content-Range'),
+                res.get('X-Facets'),
+              ])}"`;
+              options.hooks.index.after.call(
+                this,
+                req,
+                res,
+                items,
+                Resource.setResponse.bind(Resource, res, response, next)
+              );
+            }
+            catch (err) {
+              debug.index(err);
+              debug.index(err.name);
+
+              if (err.name === 'CastError' && populate) {
+                err.message = `Cannot populate "${populate}" as it is not a reference in this resource`;
+                debug.index(err.message);
+              }
+
+              return Resource.setResponse(res, { status: 400, error: err }, next);
+            }
+          }
+        );
+      }
+      catch (err) {
+        debug.index(err);
+        return Resource.setResponse(res, { status: 400, error: err }, next);
+      }
+    }, Resource.respond, options);
+    return this;
+  }
+
+  /**
+   * Register the GET method for this resource.
+   */
+  get(options) {
+    options = Resource.getMethodOptions('get', options);
+    this.methods.push('get');
+    this._register('get', `${this.route}/:${this.name}Id`, (req, res, next) => {
+      // Store the internal method for response manipulation.
+      req.__rMethod = 'get';
+      if (req.skipResource) {
+        debug.get('Skipping Resource');
+        return next();
+      }
+
+      const query = (req.modelQuery || req.model || this.model).findOne();
+      const search = { '_id': req.params[`${this.name}Id`] };
+
+      // Select the requested fields, without the fields this request may not read.
+      const { unreadable } = this.getFieldAccess(req);
+      let projection = null;
+      try {
+        projection = this.getProjection(req);
+      }
+      catch (err) {
+        return Resource.setResponse(res, { status: 400, error: err }, next);
+      }
+
+      if (projection.select) {
+        query.select(projection.select);
+      }
+
+      // Only call populate if they provide a populate query.
+      const populate = Resource.getParamQuery(req, 'populate');
+      if (populate) {
+        debug.get(`Populate: ${populate}`);
+        query.populate(projection.populate);
+      }
+
+      options.hooks.get.before.call(
+        this,
+        req,
+        res,
+        search,
+        async () => {
+          try {
+            const item = await query.where(this.getScopeQuery(req, search)).lean().exec()
+            if (!item) return Resource.setResponse(res, { status: 404 }, next);
+
+            // The version only identifies the whole item. A selection or populated references can change
+            // without it, so they get a weak ETag of the response, as the index does.
+            const etag = (Resource.getParamQuery(req, 'select') || populate) ?
+              `W/"${Resource.getHash(Resource.omitFields(item, unreadable))}"` :
+              this.getETag(item);
+
+            return options.hooks.get.after.call(
+              this,
+              req,
+              res,
+              item,
+              () => Resource.setResponse(res, { status: 200, item: item, etag, omit: unreadable }, next)
+            );
+          }
+          catch (err) {
+            return  Resource.setResponse(res, { status: 400, error: err }, next);
+          }
+        }
+      );
+    }, Resource.respond, options);
+    return this;
+  }
+
+  /**
+   * Virtual (GET) method. Returns a user-defined projection (typically an aggregate result)
+   * derived from this resource
+   * The virtual method expects at least the path and the before option params to be set.
+   */
+  virtual(options) {
+    if (!options || !options.path || !options.before) return this;
+    const path = options.path;
+    options = Resource.getMethodOptions('virtual', options);
+    this.methods.push(`virtual/${path}`);
+    this._register('get', `${this.route}/virtual/${path}`, async (req, res, next) => {
+      // Store the internal method for response manipulation.
+      req.__rMethod = 'virtual';
+
+      if (req.skipResource) {
+        debug.virtual('Skipping Resource');
+        return next();
+      }
+      const query = req.modelQuery || req.model;
+      if (!query) return Resource.setResponse(res, { status: 404 }, next);
+
+      try {
+        this.scopeVirtualQuery(req, query);
+        const item = await query.exec()
+        if (!item) return Resource.setResponse(res, { status: 404 }, next);
+        return Resource.setResponse(res, { status: 200, item }, next);
+      }
+      catch (err) {
+        return  Resource.setResponse(res, { status: 400, error: err }, next)
+      }
+    }, Resource.respond, options);
+    return this;
+  }
+
+  /**
+   * Limits the query of a virtual resource to the items of the tenant and of the parent, without the soft
+   * deleted ones. An aggregate starts with a $match on them, after the stages that have to come first.
+   *
+   * @param req
+   * @param query
+   */
+  scopeVirtualQuery(req, query) {
+    const scope = this.getScopeQuery(req);
+    if (utils.isEmpty(scope)) {
+      return;
+    }
+    if (typeof query.append === 'function') {
+      const pipeline = query.pipeline();
+      const first = pipeline.length ? Object.keys(pipeline[0])[0] : null;
+      const index = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'].includes(first) ? 1 : 0;
+      pipeline.splice(index, 0, { $match: this.model.find(scope).cast() });
+    }
+    else if (typeof query.and === 'function') {
+      query.and([scope]);
+    }
+  }
+
+  /**
+   * Register the named aggregations of the aggregations option, each as GET /aggregate/:name.
+   *
+   * An aggregation declares a pipeline function receiving the request and the conditions of its
+   * query parameters. The pipeline runs after a $match on the same filters as the index, and
+   * before the skip and limit of the request. Its results can be kept in the cache of the aggregation.
+   */
+  aggregate(options) {
+    const aggregations = this.options.aggregations || {};
+    options = Resource.getMethodOptions('aggregate', options);
+    Object.entries(aggregations).forEach(([name, aggregation]) => {
+      this.methods.push(`aggregate/${name}`);
+      this._register('get', `${this.route}/aggregate/${name}`, async (req, res, next) => {
+        // Store the internal method for response manipulation.
+        req.__rMethod = 'aggregate';
+
+        if (req.skipResource) {
+          debug.aggregate('Skipping Resource');
+          return next();
+        }
+
+        try {
+          // Match the same items as the index would, within the req.modelQuery of the handlers, with values cast
+          // to the schema types.
+          const query = (req.modelQuery && (typeof req.modelQuery.getQuery === 'function')) ?
+            req.modelQuery.clone() :
+            this.model.find();
+          const findQuery = this.getFindQuery(req, null, query.getQuery());
+          const match = query.find(Resource.getCountQuery(this.getScopeQuery(req, findQuery))).cast();
+          const { unreadable } = this.getFieldAccess(req);
+          const stages = [
+            { $match: match },
+            ...(unreadable.length ? [{ $unset: unreadable }] : []),
+            ...await aggregation.pipeline.call(this, req, { name, match, findQuery, params: req.params }),
+          ];
+
+          // Page through the results of the pipeline.
+          const skip = parseInt(req.query.skip, 10);
+          const limit = parseInt(req.query.limit, 10);
+          if (skip > 0) {
+            stages.push({ $skip: skip });
+          }
+          if (limit > 0) {
+            stages.push({ $limit: limit });
+          }
+
+          options.hooks.aggregate.before.call(
+            this,
+            req,
+            res,
+            stages,
+            async () => {
+              try {
+                const cache = aggregation.cache;
+                const key = `${this.name}/${name}:${Resource.getHash(mongodb.BSON.EJSON.serialize(stages))}`;
+                let items = cache ? await cache.get(key, req) : undefined;
+                if (items === undefined) {
+                  items = await this.model.aggregate(stages).exec();
+                  if (cache) {
+                    await cache.set(key, items, req);
+                  }
+                }
+                debug.aggregate(items);
+                return options.hooks.aggregate.after.call(
+                  this,
+                  req,
+                  res,
+                  items,
+                  () => Resource.setResponse(res, {
+                    status: 200,
+                    item: items,
+                    etag: `W/"${Resource.getHash(items)}"`,
+                  }, next)
+                );
+              }
+              catch (err) {
+                debug.aggregate(err);
+                return Resource.setResponse(res, { status: 400, error: err }, next);
+              }
+            }
+          );
+        }
+        catch (err) {
+          debug.aggregate(err);
+          return Resource.setResponse(res, { status: 400, error: err }, next);
+        }
+      }, Resource.respond, options);
+    });
+    return this;
+  }
+
+  /**
+   * Post (Create) a new item
+   */
+  post(options) {
+    options = Resource.getMethodOptions('post', options);
+    this.methods.push('post');
+    this._register('post', this.route, (req, res, next) => {
+      // Store the internal method for response manipulation.
+      req.__rMethod = 'post';
+
+      if (req.skipResource) {
+        debug.post('Skipping Resource');
+        return next();
+      }
+
+      // Allow an array of items to be created at once.
+      if (Array.isArray(req.body)) {
+        return this.postMany(req, res, next, options);
+      }
+
+      // Drop the fields this request may not write.
+      const { unreadable, unwritable } = this.getFieldAccess(req);
+      const Model = req.model || this.model;
+      const model = new Model({ ...Resource.omitFields(req.body, unwritable), ...this.getScopeFields(req) });
+      options.hooks.post.before.call(
+        this,
+        req,
+        res,
+        req.body,
+        async () => {
+          try {
+            const writeOptions = req.writeOptions || {};
+            const item = await model.save(writeOptions)
+            debug.post(item);
+            await this.saveHistory(req, 'post', [[null, item]]);
+            // Trigger any after hooks before responding.
+            return options.hooks.post.after.call(
+              this,
+              req,
+              res,
+              item,
+              this.hookResponse(req, res, { status: 201, item, omit: unreadable }, next)
+            );
+          }
+          catch (err) {
+            debug.post(err);
+            return Resource.setResponse(res, { status: 400, error: err }, next);
+          }
+        }
+      );
+    }, Resource.respond, options);
+    return this;
+  }
+
+  /**
+   * Create many items with a single insert and respond with the result of each item.
+   *
+   * Each item runs through the post hooks. Items that fail validation are reported
+   * without affecting the others, unless the bulkAtomic option is set, in which case
+   * nothing is created when any item fails. Without a transaction, that is undone by
+   * deleting the items inserted before the failure, so it is only best-effort. The after
+   * hooks run once the items are created, so their failures are reported per item.
+   *
+   * @param req
+   * @param res
+   * @param next
+   * @param options
+   */
+  async postMany(req, res, next, options) {
+    const { unreadable, unwritable } = this.getFieldAccess(req);
+    const Model = req.model || this.model;
+    const writeOptions = req.writeOptions || {};
+    // A failed insert aborts a transaction, so the batch is then all-or-nothing as well.
+    const atomic = !!this.options.bulkAtomic || !!this.getTransaction(req);
+    const results = new Array(req.body.length);
+    const failed = {};
+    const models = [];
+    const fail = (index, err) => {
+      debug.post(err);
+      results[index] = {
+        status: 400,
+        message: err.message,
+        errors: Resource.getErrors(err),
+      };
+      failed[index] = { path: `${index}`, name: err.name, message: err.message };
+    };
+    const failAll = () => {
+      const error = new Error('Bulk create failed. No items have been created.');
+      error.errors = failed;
+      return Resource.setResponse(res, { status: 400, error }, next);
+    };
+
+    try {
+      // Run the before hooks and validate every item before inserting any of them.
+      for (let index = 0; index < req.body.length; index++) {
+        try {
+          // Drop the fields this request may not write.
+          const body = { ...Resource.omitFields(req.body[index], unwritable), ...this.getScopeFields(req) };
+          await this.callHook(options.hooks.post.before, req, res, body);
+          const model = new Model(body);
+          await model.validate();
+          models.push({ index, model });
+        }
+        catch (err) {
+          fail(index, err);
+        }
+      }
+
+      if (atomic && !utils.isEmpty(failed)) {
+        return failAll();
+      }
+
+      let items = [];
+      if (models.length) {
+        try {
+          items = await Model.insertMany(models.map(({ model }) => model), { ...writeOptions, ordered: atomic });
+        }
+        catch (err) {
+          debug.post(err);
+          if (!err.insertedDocs || !err.writeErrors) {
+            throw err;
+          }
+          err.writeErrors.forEach((writeError) => fail(models[writeError.index].index, {
+            name: 'MongoServerError',
+            message: (writeError.err || writeError).errmsg,
+          }));
+          if (atomic) {
+            // Remove what was inserted before the failure, unless the transaction is rolled back anyway.
+            if (!this.getTransaction(req)) {
+              await Model.deleteMany({ _id: { $in: err.insertedDocs.map((item) => item._id) } });
+            }
+            return failAll();
+          }
+          items = err.insertedDocs;
+        }
+      }
+
+      await this.saveHistory(req, 'post', items.map((item) => [null, item]));
+
+      // Trigger the after hooks for each created item.
+      const indexes = new Map(models.map(({ index, model }) => [model._id.toString(), index]));
+      for (const item of items) {
+        const index = indexes.get(item._id.toString());
+        const error = await this.callHook(options.hooks.post.after, req, res, item).then(() => null, (err) => err);
+
+        // A transaction rolls back the whole batch. Otherwise the item is created, and reported with the error.
+        if (error && this.getTransaction(req)) {
+          return this.hookResponse(req, res, null, next)(error);
+        }
+        if (error) {
+          debug.post(error);
+          results[index] = {
+            status: [400, 403].includes(error.status) ? error.status : 500,
+            message: error.message,
+            item: Resource.omitFields(item, unreadable),
+          };
+        }
+        else {
+          results[index] = { status: 201, item: Resource.omitFields(item, unreadable) };
+        }
+      }
+
+      debug.post(results);
+      return Resource.setResponse(res, { status: 207, item: results }, next);
+    }
+    catch (err) {
+      debug.post(err);
+      return Resource.setResponse(res, { status: 400, error: err }, next);
+    }
+  }
+
+  /**
+   * Put (Update) a resource.
+   */
+  put(options) {
+    options = Resource.getMethodOptions('put', options);
+    this.methods.push('put');
+    this._register('put', `${this.route}/:${this.name}Id`, async (req, res, next) => {
+      // Store the internal method for response manipulation.
+      req.__rMethod = 'put';
+
+      if (req.skipResource) {
+        debug.put('Skipping Resource');
+        return next();
+      }
+
+      // Remove __v field and the fields this request may not write.
+      const { unreadable, unwritable } = this.getFieldAccess(req);
+      const { __v, ...update } = Resource.omitFields(req.body, unwritable);
+      const query = req.modelQuery || req.model || this.model;
+
+      try {
+        const item = await query.findOne(
+          this.getScopeQuery(req, { _id: Resource.ObjectId(req.params[`${this.name}Id`]) })
+        );
+        if (!item) {
+          debug.put(`No ${this.name} found with ${this.name}Id: ${req.params[`${this.name}Id`]}`);
+          return Resource.setResponse(res, { status: 404 }, next);
         }
 
-        // Next get the items within the index.
-        const queryExec = query
-          .find(findQuery)
-          .limit(reqQuery.limit)
-          .skip(reqQuery.skip)
-          .select(Resource.getParamQuery(req, 'select'))
-          .sort(Resource.getParamQuery(req, 'sort'));
-
-        // Only call populate if they provide a populate query.
-        const populate = Resource.getParamQuery(req, 'populate');
-        if (populate) {
-          debug.index(`Populate: ${populate}`);
-          queryExec.populate(populate);
+        // Do not overwrite changes made since the client read the item.
+        if (!Resource.checkIfMatch(req, this.getETag(item))) {
+          return Resource.setResponse(res, { status: 412, item, etag: this.getETag(item), omit: unreadable }, next);
         }
 
-        options.hooks.index.before.call(
+        const previous = this.getSnapshot(item);
+        item.set(update);
+        item.increment();
+        options.hooks.put.before.call(
           this,
           req,
           res,
-          findQuery,
+          item,
           async () => {
+            const writeOptions = req.writeOptions || {};
             try {
-              const items = await this.indexQuery(queryExec, query.pipeline).exec();
-              debug.index(items);
-              options.hooks.index.after.call(
+              const savedItem = await item.save(writeOptions);
+              await this.saveHistory(req, 'put', [[previous, savedItem]]);
+              return options.hooks.put.after.call(
                 this,
                 req,
                 res,
-                items,
-                Resource.setResponse.bind(Resource, res, { status: res.statusCode, item: items }, next)
+                savedItem,
+                this.hookResponse(req, res, {
+                  status: 200,
+                  item: savedItem,
+                  etag: this.getETag(savedItem),
+                  omit: unreadable,
+                }, next)
               );
             }
             catch (err) {
-              debug.index(err);
-              debug.index(err.name);
-
-              if (err.name === 'CastError' && populate) {
-                err.message = `Cannot populate "${populate}" as it is not a reference in this resource`;
-                debug.index(err.message);
-              }
-
-              return Resource.setResponse(res, { status: 400, error: err }, next);
+              debug.put(err);
+              return this.setSaveErrorResponse(res, item, err, unreadable, next);
             }
-          }
-        );
+          });
+
       }
       catch (err) {
-        debug.index(err);
+        debug.put(err);
         return Resource.setResponse(res, { status: 400, error: err }, next);
       }
     }, Resource.respond, options);
@@ -690,181 +2796,351 @@ class Resource {
   }
 
   /**
-   * Register the GET method for this resource.
+   * Patch (Partial Update) a resource.
    */
-  get(options) {
-    options = Resource.getMethodOptions('get', options);
-    this.methods.push('get');
-    this._register('get', `${this.route}/:${this.name}Id`, (req, res, next) => {
+  patch(options) {
+    options = Resource.getMethodOptions('patch', options);
+    this.methods.push('patch');
+    this._register('patch', `${this.route}/:${this.name}Id`, async (req, res, next) => {
       // Store the internal method for response manipulation.
-      req.__rMethod = 'get';
+      req.__rMethod = 'patch';
+
       if (req.skipResource) {
-        debug.get('Skipping Resource');
+        debug.patch('Skipping Resource');
         return next();
       }
+      const query = req.modelQuery || req.model || this.model;
+      const writeOptions = req.writeOptions || {};
+      const access = this.getFieldAccess(req);
+      const omit = access.unreadable;
+      try {
+        const item = await query.findOne(this.getScopeQuery(req, { '_id': req.params[`${this.name}Id`] }));
+        if (!item) return Resource.setResponse(res, { status: 404 }, next);
 
-      const query = (req.modelQuery || req.model || this.model).findOne();
-      const search = { '_id': req.params[`${this.name}Id`] };
+        // Do not overwrite changes made since the client read the item.
+        if (!Resource.checkIfMatch(req, this.getETag(item))) {
+          return Resource.setResponse(res, { status: 412, item, etag: this.getETag(item), omit }, next);
+        }
 
-      // Only call populate if they provide a populate query.
-      const populate = Resource.getParamQuery(req, 'populate');
-      if (populate) {
-        debug.get(`Populate: ${populate}`);
-        query.populate(populate);
-      }
+        // Ensure patches is an array
+        let patches = [].concat(req.body);
+        const previous = this.getSnapshot(item);
+        const getFields = () => item.toObject({ transform: false, virtuals: false, depopulate: true });
+
+        // A merge patch becomes the operations making the same changes, so both share the same checks.
+        if (req.is('application/merge-patch+json')) {
+          if (!utils.isObjectLike(req.body) || Array.isArray(req.body)) {
+            const error = new Error('A merge patch must be an object.');
+            return Resource.setResponse(res, { status: 400, item, error, omit }, next);
+          }
+          const { [this.model.schema.options.versionKey]: version, ...merge } = req.body;
+          const current = JSON.parse(JSON.stringify(getFields()));
+          patches = jsonpatch.compare(current, Resource.mergePatch(current, merge));
+        }
 
-      options.hooks.get.before.call(
-        this,
-        req,
-        res,
-        search,
-        async () => {
-          try {
-            let item = await query.where(search).lean().exec()
-            if (!item) return Resource.setResponse(res, { status: 404 }, next);
+        // Reject the operations on fields this request may not write.
+        const forbidden = Resource.getForbiddenPatch(patches, access);
+        if (forbidden) {
+          const error = new Error(`The operation on ${forbidden.from || forbidden.path} is not allowed.`);
+          error.errors = [{
+            name: 'OPERATION_PATH_FORBIDDEN',
+            message: error.message,
+          }];
+          return Resource.setResponse(res, { status: 400, item, error, omit }, next);
+        }
 
-            return options.hooks.get.after.call(
-              this,
-              req,
-              res,
-              item,
-              () => {
-                // Allow them to only return specified fields.
-                const select = Resource.getParamQuery(req, 'select');
-                if (select) {
-                  const newItem = {};
-                  // Always include the _id.
-                  if (item._id) {
-                    newItem._id = item._id;
-                  }
-                  select.split(' ').map(key => {
-                    key = key.trim();
-                    if (item.hasOwnProperty(key)) {
-                      newItem[key] = item[key];
-                    }
-                  });
-                  item = newItem;
-                }
-                Resource.setResponse(res, { status: 200, item: item }, next)
+        let patchFail = null;
+        try {
+          patches.forEach((patch) => {
+            if (patch.op === 'test') {
+              patchFail = patch;
+              const success = jsonpatch.applyOperation(item, patch, true);
+              if (!success || !success.test) {
+                return Resource.setResponse(res, {
+                  status: 412,
+                  name: 'Precondition Failed',
+                  message: 'A json-patch test op has failed. No changes have been applied to the document',
+                  item,
+                  patch,
+                  omit,
+                }, next);
               }
-            );
-          }
-          catch (err) {
-            return  Resource.setResponse(res, { status: 400, error: err }, next);
+            }
+          });
+          // Patch a plain copy, as deleting a property of a document does not unset its field.
+          const original = getFields();
+          item.overwrite(jsonpatch.applyPatch(getFields(), patches, true).newDocument);
+          req.patch = { original, patches };
+        }
+        catch (err) {
+          switch (err.name) {
+            // Check whether JSON PATCH error
+            case 'TEST_OPERATION_FAILED':
+              return Resource.setResponse(res, {
+                status: 412,
+                name: 'Precondition Failed',
+                message: 'A json-patch test op has failed. No changes have been applied to the document',
+                item,
+                patch: patchFail,
+                omit,
+              }, next);
+            case 'SEQUENCE_NOT_AN_ARRAY':
+            case 'OPERATION_NOT_AN_OBJECT':
+            case 'OPERATION_OP_INVALID':
+            case 'OPERATION_PATH_INVALID':
+            case 'OPERATION_FROM_REQUIRED':
+            case 'OPERATION_VALUE_REQUIRED':
+            case 'OPERATION_VALUE_CANNOT_CONTAIN_UNDEFINED':
+            case 'OPERATION_PATH_CANNOT_ADD':
+            case 'OPERATION_PATH_UNRESOLVABLE':
+            case 'OPERATION_FROM_UNRESOLVABLE':
+            case 'OPERATION_PATH_ILLEGAL_ARRAY_INDEX':
+            case 'OPERATION_VALUE_OUT_OF_BOUNDS':
+              err.errors = [{
+                name: err.name,
+                message: err.toString(),
+              }];
+              return Resource.setResponse(res, {
+                status: 400,
+                item,
+                error: err,
+              }, next);
+            // Something else than JSON PATCH
+            default:
+              return Resource.setResponse(res, { status: 400, item, error: err }, next);
           }
         }
-      );
+        item.increment();
+        options.hooks.patch.before.call(
+          this,
+          req,
+          res,
+          item,
+          async (err) => {
+            // The hook rejects the change by passing an error.
+            if (err) {
+              debug.patch(err);
+              return Resource.setResponse(res, { status: 400, error: err }, next);
+            }
+            try {
+              const savedItem = await item.save(writeOptions);
+              await this.saveHistory(req, 'patch', [[previous, savedItem]]);
+              return options.hooks.patch.after.call(
+                this,
+                req,
+                res,
+                savedItem,
+                this.hookResponse(req, res, {
+                  status: 200,
+                  item: savedItem,
+                  etag: this.getETag(savedItem),
+                  omit,
+                }, next)
+              );
+            }
+            catch (err) {
+              debug.patch(err);
+              return this.setSaveErrorResponse(res, item, err, omit, next);
+            }
+          });
+
+      }
+      catch(err) {
+        return Resource.setResponse(res, { status: 400, error: err }, next)
+      }
     }, Resource.respond, options);
+
+    // Allow many items to be updated by filter if enabled.
+    if (this.options.bulkPatch) {
+      this.methods.push('bulkPatch');
+      this._register('patch', this.route, this.patchMany, Resource.respond, options);
+    }
     return this;
   }
 
   /**
-   * Virtual (GET) method. Returns a user-defined projection (typically an aggregate result)
-   * derived from this resource
-   * The virtual method expects at least the path and the before option params to be set.
+   * Update every item matching the query filters with the fields provided in the body.
+   *
+   * @param req
+   * @param res
+   * @param next
    */
-  virtual(options) {
-    if (!options || !options.path || !options.before) return this;
-    const path = options.path;
-    options = Resource.getMethodOptions('virtual', options);
-    this.methods.push(`virtual/${path}`);
-    this._register('get', `${this.route}/virtual/${path}`, async (req, res, next) => {
-      // Store the internal method for response manipulation.
-      req.__rMethod = 'virtual';
+  async patchMany(req, res, next) {
+    // Store the internal method for response manipulation.
+    req.__rMethod = 'bulkPatch';
 
-      if (req.skipResource) {
-        debug.virtual('Skipping Resource');
-        return next();
-      }
-      const query = req.modelQuery || req.model;
-      if (!query) return Resource.setResponse(res, { status: 404 }, next);
+    if (req.skipResource) {
+      debug.patch('Skipping Resource');
+      return next();
+    }
 
-      try {
-        const item = await query.exec()
-        if (!item) return Resource.setResponse(res, { status: 404 }, next);
-        return Resource.setResponse(res, { status: 200, item }, next);
+    if (!utils.isObjectLike(req.body) || Array.isArray(req.body)) {
+      const error = new Error('A bulk update requires an object with the fields to set.');
+      return Resource.setResponse(res, { status: 400, error }, next);
+    }
+
+    // Never allow the id, the version, or the fields this request may not write to be changed.
+    const { _id, __v, ...update } = Resource.omitFields(req.body, this.getFieldAccess(req).unwritable);
+    const query = req.modelQuery || req.model || this.model;
+    const writeOptions = req.writeOptions || {};
+    try {
+      const findQuery = this.getFindQuery(req, null, query._conditions);
+      if (utils.isEmpty(findQuery)) {
+        const error = new Error('A bulk update requires at least one filter.');
+        return Resource.setResponse(res, { status: 400, error }, next);
       }
-      catch (err) {
-        return  Resource.setResponse(res, { status: 400, error: err }, next)
+
+      // Keep the items before the update for their history.
+      const previous = await this.getSnapshots(query, this.getScopeQuery(req, findQuery));
+
+      // Bump the version of every updated item so that their ETags change.
+      const versionKey = this.model.schema.options.versionKey;
+      const result = await query.updateMany(
+        this.getScopeQuery(req, findQuery),
+        versionKey ? { $set: update, $inc: { [versionKey]: 1 } } : { $set: update },
+        { ...writeOptions, runValidators: true }
+      );
+      debug.patch(result);
+      if (previous.length) {
+        const updated = await this.model.find({ _id: { $in: previous.map((item) => item._id) } })
+          .session(writeOptions.session || null)
+          .lean();
+        const changes = new Map(previous.map((item) => [item._id.toString(), [item, null]]));
+        updated.forEach((item) => {
+          changes.get(item._id.toString())[1] = item;
+        });
+        await this.saveHistory(req, 'patch', [...changes.values()].filter(([, after]) => after));
       }
-    }, Resource.respond, options);
-    return this;
+      return Resource.setResponse(res, {
+        status: 200,
+        item: { matched: result.matchedCount, modified: result.modifiedCount },
+      }, next);
+    }
+    catch (err) {
+      debug.patch(err);
+      return Resource.setResponse(res, { status: 400, error: err }, next);
+    }
   }
 
   /**
-   * Post (Create) a new item
+   * Delete a resource.
    */
-  post(options) {
-    options = Resource.getMethodOptions('post', options);
-    this.methods.push('post');
-    this._register('post', this.route, (req, res, next) => {
+  delete(options) {
+    options = Resource.getMethodOptions('delete', options);
+    this.methods.push('delete');
+    this._register('delete', `${this.route}/:${this.name}Id`, async (req, res, next) => {
       // Store the internal method for response manipulation.
-      req.__rMethod = 'post';
+      req.__rMethod = 'delete';
 
       if (req.skipResource) {
-        debug.post('Skipping Resource');
+        debug.delete('Skipping Resource');
         return next();
       }
 
-      const Model = req.model || this.model;
-      const model = new Model(req.body);
-      options.hooks.post.before.call(
-        this,
-        req,
-        res,
-        req.body,
-        async () => {
-          try {
-            const writeOptions = req.writeOptions || {};
-            const item = await model.save(writeOptions)
-            debug.post(item);
-            // Trigger any after hooks before responding.
-            return options.hooks.post.after.call(
-              this,
-              req,
-              res,
-              item,
-              Resource.setResponse.bind(Resource, res, { status: 201, item }, next)
-            );
-          }
-          catch (err) {
-            debug.post(err);
-            return Resource.setResponse(res, { status: 400, error: err }, next);
+      const query = req.modelQuery || req.model || this.model;
+      try {
+        const item = await query.findOne(this.getScopeQuery(req, { '_id': req.params[`${this.name}Id`] }));
+        if (!item) {
+          debug.delete(`No ${this.name} found with ${this.name}Id: ${req.params[`${this.name}Id`]}`);
+          return Resource.setResponse(res, { status: 404 }, next);
+        }
+        if (req.skipDelete) {
+          return Resource.setResponse(res, { status: 204, item, deleted: true }, next);
+        }
+
+        // Do not delete an item that changed since the client read it.
+        if (!Resource.checkIfMatch(req, this.getETag(item))) {
+          const { unreadable } = this.getFieldAccess(req);
+          return Resource.setResponse(res, { status: 412, item, etag: this.getETag(item), omit: unreadable }, next);
+        }
+
+        options.hooks.delete.before.call(
+          this,
+          req,
+          res,
+          item,
+          async () => {
+            const writeOptions = req.writeOptions || {};
+            try {
+              const previous = this.getSnapshot(item);
+              // Soft delete mode only marks the item as deleted.
+              if (this.options.softDelete) {
+                item.set(this.options.softDelete.field, new Date(), { strict: false });
+                item.increment();
+                await item.save(writeOptions);
+                await this.saveHistory(req, 'delete', [[previous, item]]);
+              }
+              else {
+                await item.deleteOne(writeOptions);
+                await this.saveHistory(req, 'delete', [[previous, null]]);
+              }
+              debug.delete(item);
+              options.hooks.delete.after.call(
+                this,
+                req,
+                res,
+                item,
+                this.hookResponse(req, res, { status: 204, item, deleted: true }, next)
+              );
+            }
+            catch (err) {
+              debug.delete(err);
+              return this.setSaveErrorResponse(res, item, err, this.getFieldAccess(req).unreadable, next);
+            }
           }
-        }
-      );
+        );
+
+      }
+      catch (err) {
+        debug.delete(err);
+        return Resource.setResponse(res, { status: 400, error: err }, next);
+      }
     }, Resource.respond, options);
+
+    // Allow many items to be deleted by filter if enabled.
+    if (this.options.bulkDelete) {
+      this.methods.push('bulkDelete');
+      this._register('delete', this.route, this.deleteMany, Resource.respond, options);
+    }
     return this;
   }
 
   /**
-   * Put (Update) a resource.
+   * Restore a soft deleted resource. Only registered when the softDelete option is set.
    */
-  put(options) {
-    options = Resource.getMethodOptions('put', options);
-    this.methods.push('put');
-    this._register('put', `${this.route}/:${this.name}Id`, async (req, res, next) => {
+  restore(options) {
+    if (!this.options.softDelete) {
+      return this;
+    }
+
+    options = Resource.getMethodOptions('restore', options);
+    this.methods.push('restore');
+    this._register('post', `${this.route}/:${this.name}Id/restore`, async (req, res, next) => {
       // Store the internal method for response manipulation.
-      req.__rMethod = 'put';
+      req.__rMethod = 'restore';
 
       if (req.skipResource) {
-        debug.put('Skipping Resource');
+        debug.restore('Skipping Resource');
         return next();
       }
 
-      // Remove __v field
-      const { __v, ...update} = req.body;
+      const field = this.options.softDelete.field;
       const query = req.modelQuery || req.model || this.model;
-
       try {
-        const item = await query.findOne({ _id: Resource.ObjectId(req.params[`${this.name}Id`]) })
+        const item = await query.findOne({
+          _id: req.params[`${this.name}Id`],
+          [field]: { $ne: null },
+          ...this.getScopeFields(req),
+        });
         if (!item) {
-          debug.put(`No ${this.name} found with ${this.name}Id: ${req.params[`${this.name}Id`]}`);
+          debug.restore(`No deleted ${this.name} found with ${this.name}Id: ${req.params[`${this.name}Id`]}`);
           return Resource.setResponse(res, { status: 404 }, next);
         }
 
-        item.set(update);
-        options.hooks.put.before.call(
+        const previous = this.getSnapshot(item);
+        item.set(field, undefined, { strict: false });
+        item.increment();
+        options.hooks.restore.before.call(
           this,
           req,
           res,
@@ -873,23 +3149,30 @@ class Resource {
             const writeOptions = req.writeOptions || {};
             try {
               const savedItem = await item.save(writeOptions);
-              return options.hooks.put.after.call(
+              debug.restore(savedItem);
+              await this.saveHistory(req, 'restore', [[previous, savedItem]]);
+              return options.hooks.restore.after.call(
                 this,
                 req,
                 res,
                 savedItem,
-                Resource.setResponse.bind(Resource, res, { status: 200, item: savedItem }, next)
+                this.hookResponse(req, res, {
+                  status: 200,
+                  item: savedItem,
+                  etag: this.getETag(savedItem),
+                  omit: this.getFieldAccess(req).unreadable,
+                }, next)
               );
             }
             catch (err) {
-              debug.put(err);
-              return Resource.setResponse(res, { status: 400, error: err }, next);
+              debug.restore(err);
+              return this.setSaveErrorResponse(res, item, err, this.getFieldAccess(req).unreadable, next);
             }
-          });
-
+          }
+        );
       }
       catch (err) {
-        debug.put(err);
+        debug.restore(err);
         return Resource.setResponse(res, { status: 400, error: err }, next);
       }
     }, Resource.respond, options);
@@ -897,126 +3180,181 @@ class Resource {
   }
 
   /**
-   * Patch (Partial Update) a resource.
+   * Register the history routes, when the history option is set. GET /:id/history lists the changes
+   * recorded for an item, and GET /:id/history/:version returns the item as it was at that version.
    */
-  patch(options) {
-    options = Resource.getMethodOptions('patch', options);
-    this.methods.push('patch');
-    this._register('patch', `${this.route}/:${this.name}Id`, async (req, res, next) => {
+  history(options) {
+    if (!this.options.history) {
+      return this;
+    }
+
+    options = Resource.getMethodOptions('history', options);
+    this.methods.push('history');
+    const param = `${this.name}Id`;
+
+    // The history of an item is readable when the item itself is, through the query and the scope of the
+    // request, like on GET. A removed item cannot be checked that way, so its history only depends on the scope.
+    const isReadable = async (req) => {
+      const _id = req.params[param];
+      if (!await this.model.exists({ _id })) {
+        return true;
+      }
+      const query = req.modelQuery || req.model || this.model;
+      return !!await query.findOne(this.getScopeQuery(req, { _id })).select('_id').lean();
+    };
+
+    // Returns the entries of an item, with the unreadable fields removed from their patches.
+    const getEntries = async (req) => {
+      const unreadable = this.getFieldAccess(req).unreadable;
+      const entries = await this.getHistoryModel()
+        .find({ item: req.params[param], ...this.getScopeFields(req) })
+        .sort({ version: 1 })
+        .lean();
+      return entries.map(({ _id, item, ...entry }) => ({
+        ...entry,
+        patch: Resource.omitPatchFields(entry.patch, unreadable),
+      }));
+    };
+
+    this._register('get', `${this.route}/:${param}/history`, async (req, res, next) => {
       // Store the internal method for response manipulation.
-      req.__rMethod = 'patch';
+      req.__rMethod = 'history';
 
       if (req.skipResource) {
-        debug.patch('Skipping Resource');
+        debug.history('Skipping Resource');
         return next();
       }
-      const query = req.modelQuery || req.model || this.model;
-      const writeOptions = req.writeOptions || {};
-      try {
-        const item = await query.findOne({ '_id': req.params[`${this.name}Id`] });
-        if (!item) return Resource.setResponse(res, { status: 404, error: err }, next);
 
-        // Ensure patches is an array
-        const patches = [].concat(req.body);
-        let patchFail = null;
-        try {
-          patches.forEach((patch) => {
-            if (patch.op === 'test') {
-              patchFail = patch;
-              const success = jsonpatch.applyOperation(item, patch, true);
-              if (!success || !success.test) {
-                return Resource.setResponse(res, {
-                  status: 412,
-                  name: 'Precondition Failed',
-                  message: 'A json-patch test op has failed. No changes have been applied to the document',
-                  item,
-                  patch,
-                }, next);
-              }
-            }
-          });
-          jsonpatch.applyPatch(item, patches, true);
-        }
-        catch (err) {
-          switch (err.name) {
-            // Check whether JSON PATCH error
-            case 'TEST_OPERATION_FAILED':
-              return Resource.setResponse(res, {
-                status: 412,
-                name: 'Precondition Failed',
-                message: 'A json-patch test op has failed. No changes have been applied to the document',
-                item,
-                patch: patchFail,
-              }, next);
-            case 'SEQUENCE_NOT_AN_ARRAY':
-            case 'OPERATION_NOT_AN_OBJECT':
-            case 'OPERATION_OP_INVALID':
-            case 'OPERATION_PATH_INVALID':
-            case 'OPERATION_FROM_REQUIRED':
-            case 'OPERATION_VALUE_REQUIRED':
-            case 'OPERATION_VALUE_CANNOT_CONTAIN_UNDEFINED':
-            case 'OPERATION_PATH_CANNOT_ADD':
-            case 'OPERATION_PATH_UNRESOLVABLE':
-            case 'OPERATION_FROM_UNRESOLVABLE':
-            case 'OPERATION_PATH_ILLEGAL_ARRAY_INDEX':
-            case 'OPERATION_VALUE_OUT_OF_BOUNDS':
-              err.errors = [{
-                name: err.name,
-                message: err.toString(),
-              }];
-              return Resource.setResponse(res, {
-                status: 400,
-                item,
-                error: err,
-              }, next);
-            // Something else than JSON PATCH
-            default:
-              return Resource.setResponse(res, { status: 400, item, error: err }, next);
-          }
-        }
-        try {
-          const savedItem = await item.save(writeOptions);
-          return Resource.setResponse(res, { status: 200, item: savedItem }, next);
+      try {
+        const entries = await isReadable(req) ? await getEntries(req) : [];
+        if (!entries.length) {
+          return Resource.setResponse(res, { status: 404 }, next);
         }
-        catch (err) {
-          return Resource.setResponse(res, { status: 400, error: err }, next);
+        debug.history(entries);
+        options.hooks.history.after.call(
+          this,
+          req,
+          res,
+          entries,
+          () => Resource.setResponse(res, { status: 200, item: entries }, next)
+        );
+      }
+      catch (err) {
+        debug.history(err);
+        return Resource.setResponse(res, { status: 400, error: err }, next);
+      }
+    }, Resource.respond, options);
+
+    this._register('get', `${this.route}/:${param}/history/:version`, async (req, res, next) => {
+      // Store the internal method for response manipulation.
+      req.__rMethod = 'history';
+
+      if (req.skipResource) {
+        debug.history('Skipping Resource');
+        return next();
+      }
+
+      const version = Number(req.params.version);
+      if (!Number.isInteger(version) || (version < 1)) {
+        return Resource.setResponse(res, { status: 404 }, next);
+      }
+
+      try {
+        const state = await isReadable(req) ? await this.getHistoryVersion(req, { version }) : null;
+        if (!state || (state.version !== version)) {
+          return Resource.setResponse(res, { status: 404 }, next);
         }
 
+        const item = Resource.omitFields(state.item, this.getFieldAccess(req).unreadable);
+        debug.history(item);
+        options.hooks.history.after.call(
+          this,
+          req,
+          res,
+          item,
+          () => Resource.setResponse(res, { status: 200, item }, next)
+        );
       }
-      catch(err) {
-        return Resource.setResponse(res, { status: 400, error: err }, next)
+      catch (err) {
+        debug.history(err);
+        return Resource.setResponse(res, { status: (err.status === 409) ? 409 : 400, error: err }, next);
       }
     }, Resource.respond, options);
     return this;
   }
 
   /**
-   * Delete a resource.
+   * Register POST /:id/revert, which restores an item to a version or a date of its history, when the
+   * history option is set. The revert runs through the put handlers and hooks like any other update.
    */
-  delete(options) {
-    options = Resource.getMethodOptions('delete', options);
-    this.methods.push('delete');
-    this._register('delete', `${this.route}/:${this.name}Id`, async (req, res, next) => {
+  revert(options) {
+    if (!this.options.history) {
+      return this;
+    }
+
+    options = Resource.getMethodOptions('put', options);
+    this.methods.push('revert');
+    this._register('post', `${this.route}/:${this.name}Id/revert`, async (req, res, next) => {
       // Store the internal method for response manipulation.
-      req.__rMethod = 'delete';
+      req.__rMethod = 'revert';
 
       if (req.skipResource) {
-        debug.delete('Skipping Resource');
+        debug.revert('Skipping Resource');
         return next();
       }
 
+      // Either a version or a date of the history.
+      const body = req.body || {};
+      let until = null;
+      if (body.version !== undefined) {
+        const version = Number(body.version);
+        until = (Number.isInteger(version) && (version > 0)) ? { version } : null;
+      }
+      else if (body.date !== undefined) {
+        const date = moment.utc(body.date, [moment.ISO_8601, 'x'], true);
+        until = date.isValid() ? { date: date.toDate() } : null;
+      }
+      if (!until) {
+        const error = new Error('A revert needs a positive version or a valid date.');
+        return Resource.setResponse(res, { status: 400, error }, next);
+      }
+
+      const { unreadable, unwritable } = this.getFieldAccess(req);
       const query = req.modelQuery || req.model || this.model;
       try {
-        const item = await query.findOne({ '_id': req.params[`${this.name}Id`] });
+        const item = await query.findOne(
+          this.getScopeQuery(req, { _id: Resource.ObjectId(req.params[`${this.name}Id`]) })
+        );
         if (!item) {
-          debug.delete(`No ${this.name} found with ${this.name}Id: ${req.params[`${this.name}Id`]}`);
+          debug.revert(`No ${this.name} found with ${this.name}Id: ${req.params[`${this.name}Id`]}`);
           return Resource.setResponse(res, { status: 404 }, next);
         }
-        if (req.skipDelete) {
-          return Resource.setResponse(res, { status: 204, item, deleted: true }, next);
+
+        // Do not overwrite changes made since the client read the item.
+        if (!Resource.checkIfMatch(req, this.getETag(item))) {
+          return Resource.setResponse(res, { status: 412, item, etag: this.getETag(item), omit: unreadable }, next);
         }
 
-        options.hooks.delete.before.call(
+        const state = await this.getHistoryVersion(req, until);
+        if (!state || utils.isEmpty(state.item)) {
+          debug.revert(`No version of ${this.name} ${item._id} found for ${JSON.stringify(body)}`);
+          return Resource.setResponse(res, { status: 404 }, next);
+        }
+
+        // Replace every field the request may write with its value at that version.
+        const versionKey = this.model.schema.options.versionKey;
+        const kept = ['_id', versionKey, ...unwritable];
+        const update = Resource.omitFields(state.item, kept);
+        Object.keys(item.toObject()).forEach((key) => {
+          if (!(key in update) && !Resource.coversField(key, kept)) {
+            update[key] = undefined;
+          }
+        });
+
+        const previous = this.getSnapshot(item);
+        item.set(update);
+        item.increment();
+        options.hooks.put.before.call(
           this,
           req,
           res,
@@ -1024,32 +3362,97 @@ class Resource {
           async () => {
             const writeOptions = req.writeOptions || {};
             try {
-              await item.deleteOne(writeOptions);
-              debug.delete(item);
-              options.hooks.delete.after.call(
+              const savedItem = await item.save(writeOptions);
+              debug.revert(savedItem);
+              await this.saveHistory(req, 'revert', [[previous, savedItem]]);
+              return options.hooks.put.after.call(
                 this,
                 req,
                 res,
-                item,
-                Resource.setResponse.bind(Resource, res, { status: 204, item, deleted: true }, next)
+                savedItem,
+                this.hookResponse(req, res, {
+                  status: 200,
+                  item: savedItem,
+                  etag: this.getETag(savedItem),
+                  omit: unreadable,
+                }, next)
               );
             }
             catch (err) {
-              debug.delete(err);
-              return Resource.setResponse(res, { status: 400, error: err }, next);
+              debug.revert(err);
+              return this.setSaveErrorResponse(res, item, err, unreadable, next);
             }
-          }
-        );
-
+          });
       }
       catch (err) {
-        debug.delete(err);
-        return Resource.setResponse(res, { status: 400, error: err }, next);
+        debug.revert(err);
+        return Resource.setResponse(res, { status: (err.status === 409) ? 409 : 400, error: err }, next);
       }
     }, Resource.respond, options);
     return this;
   }
 
+  /**
+   * Delete every item matching the query filters.
+   *
+   * @param req
+   * @param res
+   * @param next
+   */
+  async deleteMany(req, res, next) {
+    // Store the internal method for response manipulation.
+    req.__rMethod = 'bulkDelete';
+
+    if (req.skipResource) {
+      debug.delete('Skipping Resource');
+      return next();
+    }
+
+    const query = req.modelQuery || req.model || this.model;
+    const writeOptions = req.writeOptions || {};
+    try {
+      const findQuery = this.getFindQuery(req, null, query._conditions);
+      if (utils.isEmpty(findQuery)) {
+        const error = new Error('A bulk delete requires at least one filter.');
+        return Resource.setResponse(res, { status: 400, error }, next);
+      }
+
+      // Keep the items before the delete for their history.
+      const previous = await this.getSnapshots(query, this.getScopeQuery(req, findQuery));
+
+      // Soft delete mode only marks the items as deleted.
+      const softDelete = this.options.softDelete;
+      if (softDelete) {
+        const versionKey = this.model.schema.options.versionKey;
+        const result = await query.updateMany(
+          this.getScopeQuery(req, findQuery),
+          versionKey
+            ? { $set: { [softDelete.field]: new Date() }, $inc: { [versionKey]: 1 } }
+            : { $set: { [softDelete.field]: new Date() } },
+          { ...writeOptions, strict: false }
+        );
+        debug.delete(result);
+        if (previous.length) {
+          const deleted = await this.model.find({ _id: { $in: previous.map((item) => item._id) } })
+            .session(writeOptions.session || null)
+            .lean();
+          const before = new Map(previous.map((item) => [item._id.toString(), item]));
+          await this.saveHistory(req, 'delete', deleted.map((item) => [before.get(item._id.toString()), item]));
+        }
+        return Resource.setResponse(res, { status: 200, item: { deleted: result.modifiedCount } }, next);
+      }
+
+      const result = await query.deleteMany(this.getScopeQuery(req, findQuery), writeOptions);
+      debug.delete(result);
+      await this.saveHistory(req, 'delete', previous.map((item) => [item, null]));
+      return Resource.setResponse(res, { status: 200, item: { deleted: result.deletedCount } }, next);
+    }
+    catch (err) {
+      debug.delete(err);
+      return Resource.setResponse(res, { status: 400, error: err }, next);
+    }
+  }
+
   /**
    * Returns the swagger definition for this resource.
    */
@@ -1062,6 +3465,173 @@ class Resource {
   }
 }
 
+// Selectors comparing the field with a single value, or with a comma separated list of values.
+const compare = (operator) => (value, filter) => {
+  if (Array.isArray(value)) {
+    throw new Error(`The ${filter.selector} selector expects a single value.`);
+  }
+  return { [operator]: filter.getValue(value) };
+};
+const list = (operator) => (value, filter) => ({
+  [operator]: (Array.isArray(value) ? value : (typeof value === 'string') ? value.split(',') : [value])
+    .map(filter.getValue),
+});
+
+// Geospatial selectors check the kind of field they query, and read coordinates, bounding boxes and GeoJSON.
+const geoType = (filter, types, message) => {
+  const type = Resource.getGeoType(filter.schema, filter.name);
+  if (!type) {
+    throw new Error(`${filter.name} is not a geospatial field.`);
+  }
+  if (!types.includes(type)) {
+    throw new Error(`The ${filter.selector} selector requires ${message} on ${filter.name}.`);
+  }
+  return type;
+};
+const geoNumbers = (value, filter, counts) => {
+  const parts = `${value}`.split(',').map((number) => number.trim());
+  const numbers = parts.map(Number);
+  if (!counts.includes(numbers.length) || parts.some((number, index) => !number || isNaN(numbers[index]))) {
+    throw new Error(`Invalid value ${value} for the ${filter.selector} selector on ${filter.name}.`);
+  }
+  return numbers;
+};
+const isCoordinates = (coordinates) => Array.isArray(coordinates) && coordinates.length && coordinates.every(
+  (item) => (typeof item === 'number') || isCoordinates(item)
+);
+const geoGeometry = (value, filter, types) => {
+  if ((typeof value === 'string') && value.trim().startsWith('{')) {
+    let geometry = null;
+    try {
+      geometry = JSON.parse(value);
+    }
+    catch (err) {
+      throw new Error(`Invalid GeoJSON for the ${filter.selector} selector on ${filter.name}: ${err.message}`);
+    }
+    if (!utils.isObjectLike(geometry) || !types.includes(geometry.type) || !isCoordinates(geometry.coordinates)) {
+      throw new Error(`The ${filter.selector} selector on ${filter.name} requires a GeoJSON ${types.join(' or ')}.`);
+    }
+    return { type: geometry.type, coordinates: geometry.coordinates };
+  }
+
+  // A bounding box, as minLng,minLat,maxLng,maxLat.
+  const [minLng, minLat, maxLng, maxLat] = geoNumbers(value, filter, [4]);
+  return {
+    type: 'Polygon',
+    coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]],
+    box: [[minLng, minLat], [maxLng, maxLat]],
+  };
+};
+
+/**
+ * The query selectors, used as `field__selector=value`. Each selector returns the condition for the field,
+ * from the query value and the filter, which holds the name, selector, schema param and a getValue function
+ * to convert a value to the type of the field. The values of a JSON filter keep their JSON type, so a value may
+ * also be a number, a boolean, null or an array. Returning undefined ignores the filter, and throwing an error
+ * rejects the request with a 400.
+ *
+ * Add a selector to Resource.selectors to use it on every resource, or to the selectors option of a single resource.
+ */
+Resource.selectors = {
+  eq: compare('$eq'),
+  ne: compare('$ne'),
+  gt: compare('$gt'),
+  gte: compare('$gte'),
+  lt: compare('$lt'),
+  lte: compare('$lte'),
+  in: list('$in'),
+  nin: list('$nin'),
+  all: list('$all'),
+  exists: (value, filter) => {
+    if (Array.isArray(value)) {
+      throw new Error(`The ${filter.selector} selector expects a single value.`);
+    }
+    return { $exists: !['false', '0', ''].includes(`${value}`) };
+  },
+  regex: (value) => {
+    const parts = `${value}`.match(/\/?([^/]+)\/?([^/]+)?/);
+    if (!parts) {
+      return undefined;
+    }
+    try {
+      return new RegExp(parts[1], (parts[2] || 'i'));
+    }
+    catch (err) {
+      debug.query(err);
+      return undefined;
+    }
+  },
+  // Items of a document array matching all of the conditions of a filter expression, relative to the item.
+  elemMatch(value, filter) {
+    const path = filter.schema.path(filter.name);
+    if (!path || !path.$isMongooseDocumentArray) {
+      throw new Error(`The elemMatch selector requires an array of subdocuments in ${filter.name}.`);
+    }
+    const query = this.getFilterQuery(value, filter.options, this.getSelectors(filter.options), filter.name);
+    return utils.isEmpty(query) ? undefined : { $elemMatch: query };
+  },
+  size: (value) => {
+    const size = parseInt(value, 10);
+    if (isNaN(size) || (size < 0)) {
+      throw new Error(`The size selector requires a non-negative integer, got ${value}.`);
+    }
+    return { $size: size };
+  },
+  // lng,lat[,maxDistance], the distance in meters, or in coordinate units for a 2d index.
+  near: (value, filter) => {
+    const type = geoType(filter, ['2dsphere', '2d'], 'a 2dsphere or 2d index');
+    const [lng, lat, maxDistance] = geoNumbers(value, filter, [2, 3]);
+    if ((Math.abs(lng) > 180) || (Math.abs(lat) > 90) || (maxDistance < 0)) {
+      throw new Error(`Invalid value ${value} for the near selector on ${filter.name}.`);
+    }
+    if (type === '2d') {
+      return (maxDistance === undefined) ? { $near: [lng, lat] } : { $near: [lng, lat], $maxDistance: maxDistance };
+    }
+    const near = { $geometry: { type: 'Point', coordinates: [lng, lat] } };
+    if (maxDistance !== undefined) {
+      near.$maxDistance = maxDistance;
+    }
+    return { $near: near };
+  },
+  // A bounding box as minLng,minLat,maxLng,maxLat, or a GeoJSON Polygon or MultiPolygon.
+  within: (value, filter) => {
+    const type = geoType(filter, ['2dsphere', '2d', 'geojson'], 'GeoJSON or a geospatial index');
+    const { box, ...geometry } = geoGeometry(value, filter, ['Polygon', 'MultiPolygon']);
+    if (type === '2d') {
+      if (!box) {
+        throw new Error(`The within selector on ${filter.name} requires a bounding box.`);
+      }
+      return { $geoWithin: { $box: box } };
+    }
+    return { $geoWithin: { $geometry: geometry } };
+  },
+  // A bounding box as minLng,minLat,maxLng,maxLat, or any GeoJSON geometry.
+  geoIntersects: (value, filter) => {
+    geoType(filter, ['2dsphere', 'geojson'], 'GeoJSON');
+    const { type, coordinates } = geoGeometry(value, filter, [
+      'Point',
+      'MultiPoint',
+      'LineString',
+      'MultiLineString',
+      'Polygon',
+      'MultiPolygon',
+    ]);
+    return { $geoIntersects: { $geometry: { type, coordinates } } };
+  },
+};
+Resource.selectors.intersects = Resource.selectors.geoIntersects;
+
+/**
+ * The schema types whose query values are cast with the SchemaType. Dates are parsed first with the
+ * formats of getQueryValue.
+ */
+Resource.castTypes = ['Number', 'Decimal128', 'BigInt', 'Boolean', 'Date', 'ObjectId', 'UUID', 'Buffer'];
+
+/**
+ * The radius of the earth in meters, to convert distances to radians.
+ */
+Resource.earthRadius = 6378100;
+
 // Make sure to create a new instance of the Resource class.
 function ResourceFactory(app, route, modelName, model, options) {
   return new Resource(app, route, modelName, model, options);
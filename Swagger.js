@@ -148,7 +148,9 @@ const getProperty = function(path, name) {
   throw new Error(`Unrecognized type: ${  options.type}`);
 };
 
-const getModel = function(schema, modelName) {
+const getModel = function(schema, modelName, fields) {
+  fields = fields || {};
+
   // Define the definition structure.
   let definitions = {};
 
@@ -161,7 +163,19 @@ const getModel = function(schema, modelName) {
   Object.entries(schema.paths).forEach(([name, path]) => {
     // Set the property for the swagger model.
     const property = getProperty(path, name);
+
+    // Hidden fields are not documented. Rules depending on the request cannot be documented.
+    if (fields[name] === 'hidden') {
+      return;
+    }
     if (name.substr(0, 2) !== '__' && property) {
+      if (fields[name] === 'readOnly') {
+        property.readOnly = true;
+      }
+      if (fields[name] === 'writeOnly') {
+        property['x-writeOnly'] = true;
+      }
+
       // Add the description if they provided it.
       if (path.options.description) {
         property.description = path.options.description;
@@ -223,7 +237,12 @@ module.exports = function(resource) {
 
   const listPath = resource.routeFixed;
   const itemPath = `${listPath  }/{${  resource.modelName  }Id}`;
-  const bodyDefinitions = getModel(resource.model.schema, resource.modelName);
+  // The tenant and the parent of the items are set from the request.
+  const fields = { ...resource.options.fields };
+  [resource.options.tenant, resource.options.parent].filter(Boolean).forEach(({ field }) => {
+    fields[field] = fields[field] || 'readOnly';
+  });
+  const bodyDefinitions = getModel(resource.model.schema, resource.modelName, fields);
 
   const swagger = {
     definitions: {},
@@ -236,8 +255,11 @@ module.exports = function(resource) {
   // Build Swagger paths
   const methods = resource.methods;
 
-  // INDEX and POST listPath
-  if (methods.indexOf('index') > -1 || methods.indexOf('post') > -1) swagger.paths[listPath] = {};
+  // INDEX, POST and bulk listPath
+  if (methods.indexOf('index') > -1 ||
+    methods.indexOf('post') > -1 ||
+    methods.indexOf('bulkPatch') > -1 ||
+    methods.indexOf('bulkDelete') > -1) swagger.paths[listPath] = {};
 
   // INDEX of listPath
   if (methods.indexOf('index') > -1) {
@@ -312,6 +334,118 @@ module.exports = function(resource) {
       ],
 
     };
+    if (resource.getReservedParams()[resource.getFilterName()]) {
+      swagger.paths[listPath].get.parameters.push({
+        name: resource.getFilterName(),
+        in: 'query',
+        description: 'Filter the records with an RSQL expression, such as status==active;(age>18,vip==true), ' +
+          'or a JSON query.',
+        type: 'string',
+        required: false,
+      });
+    }
+    if (resource.getReservedParams().envelope) {
+      swagger.paths[listPath].get.parameters.push({
+        name: 'envelope',
+        in: 'query',
+        description: 'Wrap the items in an object with the total count and the page links.',
+        type: 'boolean',
+        required: false,
+      });
+    }
+    if (resource.options.pagination === 'cursor') {
+      swagger.paths[listPath].get.parameters.push({
+        name: 'cursor',
+        in: 'query',
+        description: 'Continue from the cursor provided in the next or prev link of the previous page.',
+        type: 'string',
+        required: false,
+      });
+    }
+    if (resource.hasTextIndex()) {
+      swagger.paths[listPath].get.parameters.push({
+        name: 'q',
+        in: 'query',
+        description: 'Full-text search. Use score in select and sort for the relevance of each record.',
+        type: 'string',
+        required: false,
+      });
+    }
+    const geoSelectors = {
+      near: 'Items nearest to lng,lat, optionally within a maximum distance as lng,lat,maxDistance.',
+      within: 'Items within a bounding box minLng,minLat,maxLng,maxLat or a GeoJSON Polygon or MultiPolygon.',
+      geoIntersects: 'Items intersecting a bounding box minLng,minLat,maxLng,maxLat or a GeoJSON geometry.',
+    };
+    const selectors = resource.getSelectors();
+    resource.model.schema.indexes().forEach(([fields]) => {
+      Object.entries(fields)
+        .filter(([, type]) => (type === '2dsphere') || (type === '2d'))
+        .forEach(([path, type]) => {
+          Object.entries(geoSelectors)
+            .filter(([selector]) => selectors[selector] && ((type === '2dsphere') || (selector !== 'geoIntersects')))
+            .forEach(([selector, description]) => {
+              swagger.paths[listPath].get.parameters.push({
+                name: `${path}__${selector}`,
+                in: 'query',
+                description,
+                type: 'string',
+                required: false,
+              });
+            });
+        });
+    });
+    const queryable = resource.options.queryable;
+    if (queryable && queryable.sort) {
+      const sortParameter = swagger.paths[listPath].get.parameters.find((parameter) => parameter.name === 'sort');
+      sortParameter.description = `Which fields to sort the records on. Allowed: ${queryable.sort.join(', ')}.`;
+      sortParameter['x-sortable'] = queryable.sort;
+    }
+    if (queryable && queryable.filter) {
+      Object.entries(queryable.filter).forEach(([name, allowed]) => {
+        const operators = (allowed === true) ? ['eq', ...Object.keys(resource.getSelectors())] : [].concat(allowed);
+        swagger.paths[listPath].get.parameters.push({
+          name,
+          in: 'query',
+          description: `Filter on ${name}. Use ${name}__<operator> for the operators other than eq. ` +
+            `Allowed operators: ${operators.join(', ')}.`,
+          type: 'string',
+          required: false,
+          'x-operators': operators,
+        });
+      });
+    }
+    if (resource.options.populate) {
+      const populatePaths = (rules, prefix) => Object.entries(rules)
+        .filter(([, rule]) => rule)
+        .reduce((paths, [path, rule]) => [
+          ...paths,
+          `${prefix}${path}`,
+          ...populatePaths((rule.populate || {}), `${prefix}${path}.`),
+        ], []);
+      const populateParameter = swagger.paths[listPath].get.parameters
+        .find((parameter) => parameter.name === 'populate');
+      populateParameter.description = 'Select which references will be populated. ' +
+        `Allowed: ${populatePaths(resource.options.populate, '').join(', ')}.`;
+    }
+    if (resource.options.facets) {
+      swagger.paths[listPath].get.parameters.push({
+        name: 'facets',
+        in: 'query',
+        description: 'Comma separated fields to count the records by value, returned in the X-Facets header ' +
+          `or the meta of the envelope. Allowed: ${resource.options.facets.join(', ')}.`,
+        type: 'string',
+        required: false,
+      });
+    }
+    if (resource.options.softDelete) {
+      swagger.paths[listPath].get.parameters.push({
+        name: 'withDeleted',
+        in: 'query',
+        description: 'Include the soft deleted resources, if allowed.',
+        type: 'boolean',
+        required: false,
+      });
+    }
     addNestedIdParameter(resource, swagger.paths[listPath].get.parameters);
   }
 
@@ -332,6 +466,9 @@ module.exports = function(resource) {
         201: {
           description: 'The resource has been created.',
         },
+        207: {
+          description: 'An array of resources has been processed. Returns the status of each item.',
+        },
       },
       parameters: [
         {
@@ -348,9 +485,66 @@ module.exports = function(resource) {
     addNestedIdParameter(resource, swagger.paths[listPath].post.parameters);
   }
 
+  // Bulk PATCH listPath.
+  if (methods.indexOf('bulkPatch') > -1) {
+    swagger.paths[listPath].patch = {
+      tags: [resource.name],
+      summary: `Update multiple ${  resource.modelName  } resources.`,
+      description: `Sets the provided fields on every ${  resource.modelName  } resource matching the query arguments.`,
+      operationId: `update${  resource.modelName  }s`,
+      responses: {
+        401: {
+          description: 'Unauthorized.',
+        },
+        400: {
+          description: 'Resources could not be updated.',
+        },
+        200: {
+          description: 'The number of matched and modified resources.',
+        },
+      },
+      parameters: [
+        {
+          in: 'body',
+          name: 'body',
+          description: `Fields to set on each matching ${  resource.modelName}`,
+          required: true,
+          schema: {
+            $ref: `#/definitions/${  resource.modelName}`,
+          },
+        },
+      ],
+    };
+    addNestedIdParameter(resource, swagger.paths[listPath].patch.parameters);
+  }
+
+  // Bulk DELETE listPath.
+  if (methods.indexOf('bulkDelete') > -1) {
+    swagger.paths[listPath].delete = {
+      tags: [resource.name],
+      summary: `Delete multiple ${  resource.modelName  } resources.`,
+      description: `Deletes every ${  resource.modelName  } resource matching the query arguments.`,
+      operationId: `delete${  resource.modelName  }s`,
+      responses: {
+        401: {
+          description: 'Unauthorized.',
+        },
+        400: {
+          description: 'Resources could not be deleted.',
+        },
+        200: {
+          description: 'The number of deleted resources.',
+        },
+      },
+      parameters: [],
+    };
+    addNestedIdParameter(resource, swagger.paths[listPath].delete.parameters);
+  }
+
   // The resource path for this resource.
   if (methods.indexOf('get') > -1 ||
     methods.indexOf('put') > -1 ||
+    methods.indexOf('patch') > -1 ||
     methods.indexOf('delete') > -1) swagger.paths[itemPath] = {};
 
   // GET itemPath.
@@ -439,6 +633,73 @@ module.exports = function(resource) {
     addNestedIdParameter(resource, swagger.paths[itemPath].put.parameters);
   }
 
+  // PATCH itemPath
+  if (methods.indexOf('patch') > -1) {
+    swagger.paths[itemPath].patch = {
+      tags: [resource.name],
+      summary: `Partially update a specific ${resource.name} instance.`,
+      description: `Partially update a specific ${resource.name} instance, with a list of JSON Patch (RFC 6902) `
+        + 'operations, or with a JSON Merge Patch (RFC 7396) sent as application/merge-patch+json.',
+      operationId: `patch${resource.modelName}`,
+      consumes: ['application/json-patch+json', 'application/json', 'application/merge-patch+json'],
+      responses: {
+        500: {
+          description: 'An error has occurred.',
+        },
+        412: {
+          description: 'A test operation failed, or the resource has changed since it was read.',
+        },
+        404: {
+          description: 'Resource not found',
+        },
+        401: {
+          description: 'Unauthorized.',
+        },
+        400: {
+          description: 'Resource could not be updated.',
+        },
+        200: {
+          description: 'Resource updated',
+          schema: {
+            $ref: `#/definitions/${resource.modelName}`,
+          },
+        },
+      },
+      parameters: [
+        {
+          name: `${resource.modelName}Id`,
+          in: 'path',
+          description: `The ID of the ${resource.name} that will be updated.`,
+          required: true,
+          type: 'string',
+        },
+        {
+          in: 'body',
+          name: 'body',
+          description: `The JSON Patch operations, or the JSON Merge Patch, to apply to the ${resource.modelName}.`,
+          required: true,
+          schema: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['op', 'path'],
+              properties: {
+                op: {
+                  type: 'string',
+                  enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'],
+                },
+                path: { type: 'string' },
+                from: { type: 'string' },
+                value: {},
+              },
+            },
+          },
+        },
+      ],
+    };
+    addNestedIdParameter(resource, swagger.paths[itemPath].patch.parameters);
+  }
+
   // DELETE itemPath
   if (methods.indexOf('delete') > -1) {
     swagger.paths[itemPath].delete = {
@@ -476,6 +737,195 @@ module.exports = function(resource) {
     addNestedIdParameter(resource, swagger.paths[itemPath].delete.parameters);
   }
 
+  // RESTORE itemPath
+  if (methods.indexOf('restore') > -1) {
+    swagger.paths[`${itemPath}/restore`] = {};
+    swagger.paths[`${itemPath}/restore`].post = {
+      tags: [resource.name],
+      summary: `Restore a deleted ${  resource.name}`,
+      description: `Restore a ${  resource.name} that has been soft deleted.`,
+      operationId: `restore${  resource.modelName}`,
+      responses: {
+        500: {
+          description: 'An error has occurred.',
+        },
+        404: {
+          description: 'No deleted resource found',
+        },
+        401: {
+          description: 'Unauthorized.',
+        },
+        400: {
+          description: 'Resource could not be restored.',
+        },
+        200: {
+          description: 'Resource was restored',
+          schema: {
+            $ref: `#/definitions/${  resource.modelName}`,
+          },
+        },
+      },
+      parameters: [
+        {
+          name: `${resource.modelName  }Id`,
+          in: 'path',
+          description: `The ID of the ${  resource.name  } that will be restored.`,
+          required: true,
+          type: 'string',
+        },
+      ],
+    };
+    addNestedIdParameter(resource, swagger.paths[`${itemPath}/restore`].post.parameters);
+  }
+
+  // HISTORY itemPath
+  if (methods.indexOf('history') > -1) {
+    const idParameter = {
+      name: `${resource.modelName}Id`,
+      in: 'path',
+      description: `The ID of the ${resource.name}.`,
+      required: true,
+      type: 'string',
+    };
+    swagger.paths[`${itemPath}/history`] = {
+      get: {
+        tags: [resource.name],
+        summary: `List the changes of a ${resource.name}`,
+        description: `Returns the changes recorded for a ${resource.name}, oldest first, as JSON Patches.`,
+        operationId: `history${resource.modelName}`,
+        responses: {
+          500: {
+            description: 'An error has occurred.',
+          },
+          404: {
+            description: 'No history found',
+          },
+          401: {
+            description: 'Unauthorized.',
+          },
+          200: {
+            description: 'History found',
+            schema: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  version: { type: 'integer' },
+                  method: { type: 'string' },
+                  actor: {},
+                  date: { type: 'string', format: 'date-time' },
+                  patch: { type: 'array', items: { type: 'object' } },
+                },
+              },
+            },
+          },
+        },
+        parameters: [{ ...idParameter }],
+      },
+    };
+    addNestedIdParameter(resource, swagger.paths[`${itemPath}/history`].get.parameters);
+
+    swagger.paths[`${itemPath}/history/{version}`] = {
+      get: {
+        tags: [resource.name],
+        summary: `Get a version of a ${resource.name}`,
+        description: `Returns a ${resource.name} as it was at a version of its history.`,
+        operationId: `historyVersion${resource.modelName}`,
+        responses: {
+          500: {
+            description: 'An error has occurred.',
+          },
+          409: {
+            description: 'The history does not start with the creation of the resource.',
+          },
+          404: {
+            description: 'Version not found',
+          },
+          401: {
+            description: 'Unauthorized.',
+          },
+          200: {
+            description: 'Version found',
+            schema: {
+              $ref: `#/definitions/${resource.modelName}`,
+            },
+          },
+        },
+        parameters: [
+          { ...idParameter },
+          {
+            name: 'version',
+            in: 'path',
+            description: 'The version of the history.',
+            required: true,
+            type: 'integer',
+          },
+        ],
+      },
+    };
+    addNestedIdParameter(resource, swagger.paths[`${itemPath}/history/{version}`].get.parameters);
+  }
+
+  // REVERT itemPath
+  if (methods.indexOf('revert') > -1) {
+    swagger.paths[`${itemPath}/revert`] = {};
+    swagger.paths[`${itemPath}/revert`].post = {
+      tags: [resource.name],
+      summary: `Revert a ${resource.name}`,
+      description: `Restore a ${resource.name} to a version or a date of its history.`,
+      operationId: `revert${resource.modelName}`,
+      responses: {
+        500: {
+          description: 'An error has occurred.',
+        },
+        412: {
+          description: 'The resource has changed since it was read.',
+        },
+        409: {
+          description: 'The history does not start with the creation of the resource.',
+        },
+        404: {
+          description: 'Resource or version not found',
+        },
+        401: {
+          description: 'Unauthorized.',
+        },
+        400: {
+          description: 'Resource could not be reverted.',
+        },
+        200: {
+          description: 'Resource was reverted',
+          schema: {
+            $ref: `#/definitions/${resource.modelName}`,
+          },
+        },
+      },
+      parameters: [
+        {
+          name: `${resource.modelName}Id`,
+          in: 'path',
+          description: `The ID of the ${resource.name} that will be reverted.`,
+          required: true,
+          type: 'string',
+        },
+        {
+          in: 'body',
+          name: 'body',
+          description: 'The version, or the date, to revert to.',
+          required: true,
+          schema: {
+            type: 'object',
+            properties: {
+              version: { type: 'integer' },
+              date: { type: 'string', format: 'date-time' },
+            },
+          },
+        },
+      ],
+    };
+    addNestedIdParameter(resource, swagger.paths[`${itemPath}/revert`].post.parameters);
+  }
+
   // VIRTUAL itemPath
   if (methods.some(e => /^virtual\//.test(e))) {
     methods.filter((method) => /^virtual\//.test(method)).forEach((method) =>{
@@ -503,6 +953,64 @@ module.exports = function(resource) {
       };
     });
   }
+  // AGGREGATE listPath
+  methods.filter((method) => /^aggregate\//.test(method)).forEach((method) => {
+    const name = method.split('/')[1];
+    const aggregation = resource.options.aggregations[name];
+    swagger.paths[`${listPath}/${method}`] = {
+      get: {
+        tags: [resource.name],
+        summary: `Aggregation ${name} of ${resource.modelName} resources.`,
+        description: aggregation.description || `Aggregation ${name} of ${resource.modelName} resources.`,
+        operationId: `aggregate ${resource.modelName} ${name}`,
+        produces: ['application/json'],
+        parameters: [
+          {
+            name: 'skip',
+            in: 'query',
+            description: 'How many results to skip.',
+            required: false,
+            type: 'integer',
+            format: 'int32',
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            description: 'How many results to return.',
+            required: false,
+            type: 'integer',
+            format: 'int32',
+          },
+        ],
+        responses: {
+          401: {
+            description: 'Unauthorized.',
+          },
+          400: {
+            description: 'The query is not valid.',
+          },
+          200: {
+            description: 'The results of the aggregation.',
+            schema: {
+              type: 'array',
+              items: aggregation.schema || { type: 'object' },
+            },
+          },
+        },
+      },
+    };
+    if (resource.getReservedParams()[resource.getFilterName()]) {
+      swagger.paths[`${listPath}/${method}`].get.parameters.push({
+        name: resource.getFilterName(),
+        in: 'query',
+        description: 'Only aggregate the records matching this RSQL/FIQL or JSON expression.',
+        type: 'string',
+        required: false,
+      });
+    }
+    addNestedIdParameter(resource, swagger.paths[`${listPath}/${method}`].get.parameters);
+  });
+
   // Return the swagger definition for this resource.
   return swagger;
 };
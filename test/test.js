@@ -11,6 +11,7 @@ const Resource = require('../Resource');
 const app = express();
 const _ = require('lodash');
 const MongoClient = require('mongodb').MongoClient;
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const ObjectId = require('mongodb').ObjectId;
 const chance = (new require('chance'))();
 
@@ -24,7 +25,7 @@ const testDates = [
 
 // Use the body parser.
 app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ type: ['application/json', 'application/*+json'] }));
 
 // An object to store handler events.
 let handlers = {};
@@ -32,6 +33,10 @@ let handlers = {};
 // The raw connection to mongo, for consistency checks with mongoose.
 let db = null;
 
+// An in-memory replica set, as transactions are not available on a standalone server.
+let replSet = null;
+let client = null;
+
 /**
  * Updates the reference for the handler invocation using the given sequence and method.
  *
@@ -89,20 +94,26 @@ function wasInvoked(entity, sequence, method) {
 }
 
 describe('Connect to MongoDB', () => {
-  it('Connect to MongoDB', () => mongoose.connect('mongodb://localhost:27017/test', {
-    useUnifiedTopology: true,
-    useNewUrlParser: true,
-  }));
+  it('Start the replica set', async function() {
+    // The first run downloads the MongoDB binaries.
+    this.timeout(300000);
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  });
+
+  it('Connect to MongoDB', () => mongoose.connect(replSet.getUri('test')));
 
   it('Drop test database', () => mongoose.connection.db.dropDatabase());
 
-  it('Should connect MongoDB without mongoose', () => MongoClient.connect('mongodb://localhost:27017', {
-    useUnifiedTopology: true,
-    useNewUrlParser: true,
-  })
-    .then((client) => db = client.db('test')));
+  it('Should connect MongoDB without mongoose', () => MongoClient.connect(replSet.getUri())
+    .then((connected) => {
+      client = connected;
+      db = client.db('test');
+    }));
 });
 
+after(() => Promise.all([mongoose.disconnect(), client && client.close()])
+  .then(() => replSet && replSet.stop()));
+
 describe('Build Resources for following tests', () => {
   it('Build the /test/ref endpoints', () => {
     // Create the schema.
@@ -2411,7 +2422,7 @@ describe('Test before hooks', () => {
             assert.equal(calls.length, 1);
             assert.deepEqual(calls, ['before']);
             calls.push('after');
-            next();
+            next((item.data === 'unaudited') ? new Error('The audit failed.') : undefined);
           },
         },
         get: {
@@ -2440,6 +2451,24 @@ describe('Test before hooks', () => {
             next();
           },
         },
+        patch: {
+          before(req, res, item, next) {
+            assert.equal(calls.length, 0);
+            assert.notEqual(req.patch.original.data, item.data);
+            assert.deepEqual(req.patch.patches, [{ op: 'replace', path: '/data', value: item.data }]);
+            calls.push('before');
+            if (item.data === 'rejected') {
+              return next(new Error('The data cannot be rejected.'));
+            }
+            next();
+          },
+          after(req, res, item, next) {
+            assert.equal(calls.length, 1);
+            assert.deepEqual(calls, ['before']);
+            calls.push('after');
+            next();
+          },
+        },
         delete: {
           before(req, res, item, next) {
             assert.equal(calls.length, 0);
@@ -2501,6 +2530,18 @@ describe('Test before hooks', () => {
         assert.equal(calls[0], 'before');
         assert(_.get(response, 'message'), 'hook validation failed');
       }));
+
+    it('test after hook error without a transaction', () => request(app)
+      .post('/hook')
+      .send({
+        data: 'unaudited',
+      })
+      .expect('Content-Type', /json/)
+      .expect(201)
+      .then((res) => {
+        assert.deepEqual(calls, ['before', 'after']);
+        assert.equal(res.body.data, 'unaudited');
+      }));
   });
 
   describe('get hooks', () => {
@@ -2586,6 +2627,43 @@ describe('Test before hooks', () => {
       }));
   });
 
+  describe('patch hooks', () => {
+    beforeEach(() => {
+      calls = [];
+    });
+
+    it('Call hooks are called in order', () => {
+      const data = chance.word();
+      return request(app)
+        .patch(`/hook/${sub._id}`)
+        .send([{ op: 'replace', path: '/data', value: data }])
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .then((res) => {
+          assert.deepEqual(calls, ['before', 'after']);
+          sub = res.body;
+          assert.equal(sub.data, data);
+        });
+    });
+
+    it('The before hook can reject the change', () => request(app)
+      .patch(`/hook/${sub._id}`)
+      .send([{ op: 'replace', path: '/data', value: 'rejected' }])
+      .expect('Content-Type', /json/)
+      .expect(400)
+      .then((res) => {
+        assert.deepEqual(calls, ['before']);
+        assert.equal(res.body.message, 'The data cannot be rejected.');
+        calls = [];
+        return request(app)
+          .get(`/hook/${sub._id}`)
+          .expect(200);
+      })
+      .then((res) => {
+        assert.notEqual(res.body.data, 'rejected');
+      }));
+  });
+
   describe('delete hooks', () => {
     beforeEach(() => {
       calls = [];
@@ -2639,6 +2717,2384 @@ describe('Test before hooks', () => {
   });
 });
 
+describe('Test bulk create', () => {
+  let calls = [];
+
+  before(() => {
+    const bulkSchema = new mongoose.Schema({
+      title: {
+        type: String,
+        required: true,
+      },
+    });
+
+    Resource(app, '', 'bulk', mongoose.model('bulk', bulkSchema)).rest({
+      hooks: {
+        post: {
+          before(req, res, item, next) {
+            calls.push(`before:${item.title}`);
+            next();
+          },
+          after(req, res, item, next) {
+            calls.push(`after:${item.title}`);
+            next((item.title === 'unaudited') ? new Error('The audit failed.') : undefined);
+          },
+        },
+      },
+    });
+    Resource(app, '', 'bulkatomic', mongoose.model('bulkatomic', bulkSchema), { bulkAtomic: true }).rest();
+  });
+
+  beforeEach(() => {
+    calls = [];
+  });
+
+  it('/POST an array of items creates every item', () => request(app)
+    .post('/bulk')
+    .send([{ title: 'one' }, { title: 'two' }])
+    .expect('Content-Type', /json/)
+    .expect(207)
+    .then((res) => {
+      assert.equal(res.body.length, 2);
+      assert.equal(res.body[0].status, 201);
+      assert.equal(res.body[0].item.title, 'one');
+      assert.equal(res.body[1].status, 201);
+      assert.equal(res.body[1].item.title, 'two');
+      assert.deepEqual(calls, ['before:one', 'before:two', 'after:one', 'after:two']);
+    }));
+
+  it('/POST an array reports the items that failed validation', () => request(app)
+    .post('/bulk')
+    .send([{ title: 'three' }, {}])
+    .expect('Content-Type', /json/)
+    .expect(207)
+    .then((res) => {
+      assert.equal(res.body[0].status, 201);
+      assert.equal(res.body[1].status, 400);
+      assert.equal(res.body[1].errors.title.name, 'ValidatorError');
+      assert.deepEqual(calls, ['before:three', 'before:undefined', 'after:three']);
+    })
+    .then(() => request(app)
+      .get('/bulk')
+      .expect(200))
+    .then((res) => {
+      assert.equal(res.body.length, 3);
+    }));
+
+  it('/POST an array reports the items whose after hook failed', () => request(app)
+    .post('/bulk')
+    .send([{ title: 'unaudited' }, { title: 'four' }])
+    .expect('Content-Type', /json/)
+    .expect(207)
+    .then((res) => {
+      assert.deepEqual(res.body.map((result) => result.status), [500, 201]);
+      assert.equal(res.body[0].message, 'The audit failed.');
+      assert.equal(res.body[0].item.title, 'unaudited');
+      assert.deepEqual(calls, ['before:unaudited', 'before:four', 'after:unaudited', 'after:four']);
+      return mongoose.model('bulk').countDocuments({ title: 'unaudited' });
+    })
+    .then((count) => {
+      assert.equal(count, 1);
+    }));
+
+  it('/POST an array with bulkAtomic creates nothing when an item fails', () => request(app)
+    .post('/bulkatomic')
+    .send([{ title: 'one' }, {}])
+    .expect('Content-Type', /json/)
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors['1'].path, '1');
+    })
+    .then(() => request(app)
+      .get('/bulkatomic')
+      .expect(200))
+    .then((res) => {
+      assert.deepEqual(res.body, []);
+    }));
+
+  it('/POST an array with bulkAtomic creates every item', () => request(app)
+    .post('/bulkatomic')
+    .send([{ title: 'one' }, { title: 'two' }])
+    .expect('Content-Type', /json/)
+    .expect(207)
+    .then((res) => {
+      assert.deepEqual(res.body.map((result) => result.status), [201, 201]);
+    }));
+});
+
+describe('Test bulk update and delete', () => {
+  before(() => {
+    const bulkUpdateSchema = new mongoose.Schema({
+      title: {
+        type: String,
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: ['draft', 'published'],
+      },
+    });
+
+    const bulkUpdate = Resource(app, '', 'bulkupdate', mongoose.model('bulkupdate', bulkUpdateSchema), {
+      bulkPatch: true,
+      bulkDelete: true,
+    }).rest();
+    assert.ok(bulkUpdate.swagger().paths['/bulkupdate'].patch);
+    assert.ok(bulkUpdate.swagger().paths['/bulkupdate'].delete);
+
+    return request(app)
+      .post('/bulkupdate')
+      .send([
+        { title: 'one', status: 'draft' },
+        { title: 'two', status: 'draft' },
+        { title: 'three', status: 'published' },
+      ])
+      .expect(207);
+  });
+
+  it('/PATCH without a filter is rejected', () => request(app)
+    .patch('/bulkupdate')
+    .send({ status: 'published' })
+    .expect('Content-Type', /json/)
+    .expect(400));
+
+  it('/PATCH with a JSON Patch array is rejected', () => request(app)
+    .patch('/bulkupdate?status=draft')
+    .send([{ op: 'replace', path: '/status', value: 'published' }])
+    .expect('Content-Type', /json/)
+    .expect(400));
+
+  it('/PATCH validates the update', () => request(app)
+    .patch('/bulkupdate?status=draft')
+    .send({ status: 'unknown' })
+    .expect('Content-Type', /json/)
+    .expect(400));
+
+  it('/PATCH updates every matching item', () => request(app)
+    .patch('/bulkupdate?status=draft')
+    .send({ status: 'published' })
+    .expect('Content-Type', /json/)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, { matched: 2, modified: 2 });
+    })
+    .then(() => request(app)
+      .get('/bulkupdate?status=published')
+      .expect(200))
+    .then((res) => {
+      assert.equal(res.body.length, 3);
+    }));
+
+  it('/DELETE without a filter is rejected', () => request(app)
+    .delete('/bulkupdate')
+    .expect('Content-Type', /json/)
+    .expect(400));
+
+  it('/DELETE removes every matching item', () => request(app)
+    .delete('/bulkupdate?title__in=one,two')
+    .expect('Content-Type', /json/)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, { deleted: 2 });
+    })
+    .then(() => request(app)
+      .get('/bulkupdate')
+      .expect(200))
+    .then((res) => {
+      assert.equal(res.body.length, 1);
+      assert.equal(res.body[0].title, 'three');
+    }));
+
+  it('Bulk routes are not registered without the options', () => request(app)
+    .delete('/bulk?title=one')
+    .expect(404));
+});
+
+describe('Test cursor pagination', () => {
+  const getLink = (res, rel) => {
+    const link = (res.headers.link || '').split(', ').find((part) => part.includes(`rel="${rel}"`));
+    return link ? link.match(/<([^>]+)>/)[1] : null;
+  };
+
+  before(() => {
+    const cursorSchema = new mongoose.Schema({
+      title: String,
+      age: Number,
+    });
+
+    const cursor = Resource(app, '', 'cursor', mongoose.model('cursor', cursorSchema), { pagination: 'cursor' }).rest();
+    assert.ok(cursor.swagger().paths['/cursor'].get.parameters.find((param) => param.name === 'cursor'));
+    Resource(app, '', 'cursorfield', mongoose.model('cursorfield', new mongoose.Schema({ cursor: String }))).rest();
+
+    return request(app)
+      .post('/cursor')
+      .send(_.range(5).map((age) => ({ title: `Age ${age}`, age })))
+      .expect(207)
+      .then(() => request(app)
+        .post('/cursorfield')
+        .send([{ cursor: 'a' }, { cursor: 'b' }])
+        .expect(207));
+  });
+
+  let next = null;
+  it('Should return the first page with a next link', () => request(app)
+    .get('/cursor?limit=2&sort=age')
+    .expect('Content-Type', /json/)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [0, 1]);
+      assert.equal(getLink(res, 'prev'), null);
+      next = getLink(res, 'next');
+      assert.ok(next);
+    }));
+
+  let prev = null;
+  it('Should continue from the cursor', () => request(app)
+    .get(next)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [2, 3]);
+      assert.ok(getLink(res, 'prev'));
+      next = getLink(res, 'next');
+    })
+    .then(() => request(app)
+      .get(next)
+      .expect(200))
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [4]);
+      assert.equal(getLink(res, 'next'), null);
+      prev = getLink(res, 'prev');
+    }));
+
+  it('Should go back with the prev cursor', () => request(app)
+    .get(prev)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [2, 3]);
+    }));
+
+  it('Should honor filters and descending sorts', () => request(app)
+    .get('/cursor?limit=2&sort=-age&age__gt=0')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [4, 3]);
+      return request(app)
+        .get(getLink(res, 'next'))
+        .expect(200);
+    })
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [2, 1]);
+      assert.equal(getLink(res, 'next'), null);
+    }));
+
+  it('Should reject an invalid cursor', () => request(app)
+    .get('/cursor?cursor=invalid')
+    .expect('Content-Type', /json/)
+    .expect(400));
+
+  it('Should page through the items without a sort value', () => {
+    const getPages = (url, ages) => request(app)
+      .get(url)
+      .expect(200)
+      .then((res) => {
+        const link = getLink(res, 'next');
+        ages = [...ages, ...res.body.map((item) => item.age)];
+        return link ? getPages(link, ages) : ages;
+      });
+
+    return request(app)
+      .post('/cursor')
+      .send([{ title: 'No age' }, { title: 'Null age', age: null }])
+      .expect(207)
+      .then(() => getPages('/cursor?limit=2&sort=age', []))
+      .then((ages) => {
+        assert.deepEqual(ages, [undefined, null, 0, 1, 2, 3, 4]);
+        return getPages('/cursor?limit=2&sort=-age', []);
+      })
+      .then((ages) => {
+        assert.deepEqual(ages, [4, 3, 2, 1, 0, null, undefined]);
+      });
+  });
+
+  it('Should page through the items with the sort key excluded', () => {
+    const getPages = (url, items) => request(app)
+      .get(url)
+      .expect(200)
+      .then((res) => {
+        const link = getLink(res, 'next');
+        items = [...items, ...res.body];
+        return link ? getPages(link, items) : items;
+      });
+
+    return getPages('/cursor?limit=2&sort=age&select=-age&age__gte=0', [])
+      .then((items) => {
+        assert.deepEqual(items.map((item) => item.title), ['Age 0', 'Age 1', 'Age 2', 'Age 3', 'Age 4']);
+        assert.ok(items.every((item) => !('age' in item)));
+      });
+  });
+
+  it('Should filter on a cursor field of a resource without cursor pagination', () => request(app)
+    .get('/cursorfield?cursor=b')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.cursor), ['b']);
+    }));
+});
+
+describe('Test envelope', () => {
+  before(() => {
+    const envelopeSchema = new mongoose.Schema({
+      title: String,
+      age: Number,
+    });
+
+    Resource(app, '', 'envelope', mongoose.model('envelope', envelopeSchema), { envelope: true }).rest();
+    Resource(app, '', 'envelopecursor', mongoose.model('envelopecursor', envelopeSchema), {
+      pagination: 'cursor',
+    }).rest();
+    const envelopeField = Resource(app, '', 'envelopefield', mongoose.model('envelopefield', new mongoose.Schema({
+      envelope: String,
+    }))).rest();
+    assert.ok(!envelopeField.swagger().paths['/envelopefield'].get.parameters
+      .find((param) => param.name === 'envelope'));
+
+    return request(app)
+      .post('/envelope')
+      .send(_.range(5).map((age) => ({ title: `Age ${age}`, age })))
+      .expect(207)
+      .then(() => request(app)
+        .post('/envelopecursor')
+        .send(_.range(3).map((age) => ({ title: `Age ${age}`, age })))
+        .expect(207))
+      .then(() => request(app)
+        .post('/envelopefield')
+        .send([{ envelope: 'true' }, { envelope: 'false' }])
+        .expect(207));
+  });
+
+  it('Should wrap the items with the total and the page links', () => request(app)
+    .get('/envelope?limit=2&skip=2&sort=age')
+    .expect('Content-Type', /json/)
+    .expect(206)
+    .then((res) => {
+      assert.deepEqual(res.body.data.map((item) => item.age), [2, 3]);
+      assert.deepEqual(res.body.meta, { total: 5, skip: 2, limit: 2 });
+      assert.equal(res.body.links.self, '/envelope?limit=2&skip=2&sort=age');
+      assert.equal(res.body.links.next, '/envelope?limit=2&skip=4&sort=age');
+      assert.equal(res.body.links.prev, '/envelope?limit=2&skip=0&sort=age');
+      assert.equal(res.body.links.first, '/envelope?limit=2&skip=0&sort=age');
+      assert.equal(res.body.links.last, '/envelope?limit=2&skip=4&sort=age');
+    }));
+
+  it('Should not have a next link on the last page', () => request(app)
+    .get('/envelope?limit=2&skip=4&sort=age')
+    .expect(206)
+    .then((res) => {
+      assert.deepEqual(res.body.data.map((item) => item.age), [4]);
+      assert.equal(res.body.links.next, null);
+    }));
+
+  it('Should return the plain array when the envelope is turned off', () => request(app)
+    .get('/envelope?envelope=false')
+    .expect(200)
+    .then((res) => {
+      assert(Array.isArray(res.body), 'Response should be an array');
+      assert.equal(res.body.length, 5);
+    }));
+
+  it('Should wrap an empty index', () => request(app)
+    .get('/envelope?age=100')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.data, []);
+      assert.equal(res.body.meta.total, 0);
+    }));
+
+  it('Should use the cursor links when requested on a cursor paginated index', () => request(app)
+    .get('/envelopecursor?limit=2&sort=age&envelope=true')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.data.map((item) => item.age), [0, 1]);
+      assert.deepEqual(res.body.meta, { total: 3, skip: null, limit: 2 });
+      assert.ok(res.body.links.next);
+      assert.equal(res.body.links.prev, null);
+      assert.equal(res.body.links.first, '/envelopecursor?limit=2&sort=age&envelope=true');
+      assert.equal(res.body.links.last, null);
+    }));
+
+  it('Should filter on an envelope field of a resource without the envelope option', () => request(app)
+    .get('/envelopefield?envelope=true')
+    .expect(200)
+    .then((res) => {
+      assert.ok(Array.isArray(res.body));
+      assert.deepEqual(res.body.map((item) => item.envelope), ['true']);
+    }));
+});
+
+describe('Test soft delete', () => {
+  let item = null;
+  before(() => {
+    const softDeleteSchema = new mongoose.Schema({
+      title: String,
+    });
+
+    const softdelete = Resource(app, '', 'softdelete', mongoose.model('softdelete', softDeleteSchema), {
+      softDelete: { field: 'removed', withDeleted: (req) => req.headers['x-admin'] === 'true' },
+      bulkDelete: true,
+    }).rest();
+    assert.ok(softdelete.swagger().paths['/softdelete/{softdeleteId}/restore'].post);
+    Resource(app, '', 'withdeletedfield', mongoose.model('withdeletedfield', new mongoose.Schema({
+      title: String,
+      withDeleted: Boolean,
+    }))).rest();
+
+    return request(app)
+      .post('/softdelete')
+      .send([{ title: 'one' }, { title: 'two' }, { title: 'three' }])
+      .expect(207)
+      .then((res) => {
+        item = res.body[0].item;
+        return request(app)
+          .post('/withdeletedfield')
+          .send([{ title: 'kept', withDeleted: true }, { title: 'dropped', withDeleted: false }])
+          .expect(207);
+      });
+  });
+
+  it('Should mark the item as deleted instead of removing it', () => request(app)
+    .delete(`/softdelete/${item._id}`)
+    .expect(200)
+    .then(() => mongoose.model('softdelete').findById(item._id).lean())
+    .then((doc) => {
+      assert.ok(doc, 'The document should still exist');
+      assert.ok(doc.removed instanceof Date);
+    }));
+
+  it('Should leave deleted items out of the index', () => request(app)
+    .get('/softdelete')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((doc) => doc.title).sort(), ['three', 'two']);
+    }));
+
+  it('Should not find a deleted item', () => request(app)
+    .get(`/softdelete/${item._id}`)
+    .expect(404)
+    .then(() => request(app)
+      .put(`/softdelete/${item._id}`)
+      .send({ title: 'updated' })
+      .expect(404))
+    .then(() => request(app)
+      .patch(`/softdelete/${item._id}`)
+      .send([{ op: 'replace', path: '/title', value: 'updated' }])
+      .expect(404)));
+
+  it('Should only include deleted items with withDeleted when allowed', () => request(app)
+    .get('/softdelete?withDeleted=true')
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.length, 2);
+      return request(app)
+        .get('/softdelete?withDeleted=true')
+        .set('x-admin', 'true')
+        .expect(200);
+    })
+    .then((res) => {
+      assert.equal(res.body.length, 3);
+      return request(app)
+        .get(`/softdelete/${item._id}?withDeleted=true`)
+        .set('x-admin', 'true')
+        .expect(200);
+    })
+    .then((res) => {
+      assert.equal(res.body.title, 'one');
+      assert.ok(res.body.removed);
+    }));
+
+  it('Should restore a deleted item', () => request(app)
+    .post(`/softdelete/${item._id}/restore`)
+    .expect('Content-Type', /json/)
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.title, 'one');
+      assert.equal(res.body.removed, undefined);
+      return request(app)
+        .get(`/softdelete/${item._id}`)
+        .expect(200);
+    })
+    .then(() => request(app)
+      .post(`/softdelete/${item._id}/restore`)
+      .expect(404)));
+
+  it('Should soft delete many items at once', () => request(app)
+    .delete('/softdelete?title__in=two,three')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, { deleted: 2 });
+      return mongoose.model('softdelete').countDocuments();
+    })
+    .then((count) => {
+      assert.equal(count, 3);
+      return request(app)
+        .get('/softdelete')
+        .expect(200);
+    })
+    .then((res) => {
+      assert.deepEqual(res.body.map((doc) => doc.title), ['one']);
+    }));
+
+  it('Should not write the soft delete field', () => request(app)
+    .post('/softdelete')
+    .send({ title: 'four', removed: new Date() })
+    .expect(201)
+    .then((res) => request(app)
+      .get(`/softdelete/${res.body._id}`)
+      .expect(200))
+    .then((res) => request(app)
+      .patch(`/softdelete/${res.body._id}`)
+      .send([{ op: 'add', path: '/removed', value: new Date() }])
+      .expect(400))
+    .then(() => request(app)
+      .put(`/softdelete/${item._id}`)
+      .send({ title: 'one', removed: new Date() })
+      .expect(200))
+    .then(() => request(app)
+      .get(`/softdelete/${item._id}`)
+      .expect(200)));
+
+  it('Should filter on a withDeleted field of a resource without soft delete', () => request(app)
+    .get('/withdeletedfield?withDeleted=true')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((doc) => doc.title), ['kept']);
+    }));
+});
+
+describe('Test ETag', () => {
+  let item = null;
+  let raced = null;
+  let etag = null;
+  before(() => {
+    const etagSchema = new mongoose.Schema({
+      title: String,
+    });
+
+    Resource(app, '', 'etag', mongoose.model('etag', etagSchema)).rest();
+
+    // Every update races with a concurrent one, made after the If-Match check.
+    const EtagRace = mongoose.model('etagrace', etagSchema);
+    const race = (req, res, item, next) => EtagRace
+      .updateOne({ _id: item._id }, { $set: { title: 'Concurrent' }, $inc: { __v: 1 } })
+      .then(() => next(), next);
+    Resource(app, '', 'etagrace', EtagRace).rest({
+      hooks: {
+        put: { before: race },
+        patch: { before: race },
+      },
+    });
+
+    return request(app)
+      .post('/etag')
+      .send({ title: 'First' })
+      .expect(201)
+      .then((res) => {
+        item = res.body;
+        return request(app)
+          .post('/etagrace')
+          .send({ title: 'First' })
+          .expect(201);
+      })
+      .then((res) => {
+        raced = res.body;
+      });
+  });
+
+  it('Should return an ETag from the version of the item', () => request(app)
+    .get(`/etag/${item._id}`)
+    .expect(200)
+    .then((res) => {
+      etag = res.headers.etag;
+      assert.equal(etag, '"0"');
+    }));
+
+  it('Should return a 304 when the item did not change', () => request(app)
+    .get(`/etag/${item._id}`)
+    .set('If-None-Match', etag)
+    .expect(304));
+
+  it('Should return a 304 for an unchanged index', () => request(app)
+    .get('/etag')
+    .expect(200)
+    .then((res) => {
+      assert.ok(res.headers.etag.startsWith('W/'));
+      return request(app)
+        .get('/etag')
+        .set('If-None-Match', res.headers.etag)
+        .expect(304);
+    }));
+
+  it('Should update with a matching If-Match and return the new ETag', () => request(app)
+    .put(`/etag/${item._id}`)
+    .set('If-Match', etag)
+    .send({ title: 'Second' })
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.title, 'Second');
+      assert.equal(res.headers.etag, '"1"');
+    }));
+
+  it('Should reject a PUT with a stale ETag', () => request(app)
+    .put(`/etag/${item._id}`)
+    .set('If-Match', etag)
+    .send({ title: 'Third' })
+    .expect(412)
+    .then((res) => {
+      assert.equal(res.body.title, 'Second');
+      assert.equal(res.headers.etag, '"1"');
+    }));
+
+  it('Should reject a PATCH with a stale ETag', () => request(app)
+    .patch(`/etag/${item._id}`)
+    .set('If-Match', etag)
+    .send([{ op: 'replace', path: '/title', value: 'Third' }])
+    .expect(412)
+    .then(() => request(app)
+      .patch(`/etag/${item._id}`)
+      .set('If-Match', '"1"')
+      .send([{ op: 'replace', path: '/title', value: 'Third' }])
+      .expect(200))
+    .then((res) => {
+      assert.equal(res.body.title, 'Third');
+      assert.equal(res.headers.etag, '"2"');
+    }));
+
+  it('Should no longer return a 304 once the item changed', () => request(app)
+    .get(`/etag/${item._id}`)
+    .set('If-None-Match', etag)
+    .expect(200));
+
+  it('Should reject a DELETE with a stale ETag', () => request(app)
+    .delete(`/etag/${item._id}`)
+    .set('If-Match', etag)
+    .expect(412)
+    .then(() => request(app)
+      .delete(`/etag/${item._id}`)
+      .set('If-Match', '"2"')
+      .expect(200)));
+
+  it('Should reject an update racing with another one after the If-Match check', () => request(app)
+    .put(`/etagrace/${raced._id}`)
+    .set('If-Match', '"0"')
+    .send({ title: 'Second' })
+    .expect(412)
+    .then((res) => {
+      assert.equal(res.body.title, 'Concurrent');
+      assert.equal(res.headers.etag, '"1"');
+      return request(app)
+        .patch(`/etagrace/${raced._id}`)
+        .set('If-Match', '"1"')
+        .send([{ op: 'replace', path: '/title', value: 'Third' }])
+        .expect(412);
+    })
+    .then((res) => {
+      assert.equal(res.body.title, 'Concurrent');
+      assert.equal(res.headers.etag, '"2"');
+    }));
+});
+
+describe('Test field access', () => {
+  let item = null;
+  before(() => {
+    const fieldsSchema = new mongoose.Schema({
+      title: String,
+      owner: { type: String, default: 'system' },
+      password: String,
+      secret: { type: String, default: 'hush' },
+      salary: Number,
+      pin: { type: String, select: false },
+    });
+
+    const fields = Resource(app, '', 'fields', mongoose.model('fields', fieldsSchema), {
+      fields: {
+        owner: 'readOnly',
+        password: 'writeOnly',
+        secret: 'hidden',
+        pin: 'hidden',
+        salary: (req) => (req.headers['x-admin'] === 'true' ? null : 'readOnly'),
+      },
+    }).rest();
+
+    const properties = fields.swagger().definitions.fields.properties;
+    assert.equal(properties.owner.readOnly, true);
+    assert.equal(properties.password['x-writeOnly'], true);
+    assert.equal(properties.secret, undefined);
+    assert.ok(properties.salary);
+  });
+
+  it('Should drop the fields that cannot be written on POST', () => request(app)
+    .post('/fields')
+    .send({ title: 'Test', owner: 'me', password: 'pass', secret: 'mine', salary: 100 })
+    .expect(201)
+    .then((res) => {
+      item = res.body;
+      assert.equal(item.title, 'Test');
+      assert.equal(item.owner, 'system');
+      assert.equal(item.salary, undefined);
+      assert.equal(item.password, undefined);
+      assert.equal(item.secret, undefined);
+      return mongoose.model('fields').findById(item._id).lean();
+    })
+    .then((doc) => {
+      assert.equal(doc.password, 'pass');
+      assert.equal(doc.secret, 'hush');
+    }));
+
+  it('Should allow the writes depending on the request', () => request(app)
+    .put(`/fields/${item._id}`)
+    .set('x-admin', 'true')
+    .send({ salary: 100, owner: 'me' })
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.salary, 100);
+      assert.equal(res.body.owner, 'system');
+    }));
+
+  it('Should leave out the fields that cannot be read', () => request(app)
+    .get(`/fields/${item._id}`)
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.title, 'Test');
+      assert.equal(res.body.salary, 100);
+      assert.equal(res.body.password, undefined);
+      assert.equal(res.body.secret, undefined);
+      return request(app)
+        .get('/fields?select=title,secret')
+        .expect(200);
+    })
+    .then((res) => {
+      assert.equal(res.body[0].title, 'Test');
+      assert.equal(res.body[0].secret, undefined);
+      return request(app)
+        .get('/fields')
+        .expect(200);
+    })
+    .then((res) => {
+      assert.equal(res.body[0].password, undefined);
+      assert.equal(res.body[0].secret, undefined);
+    }));
+
+  it('Should not load the hidden fields the schema does not select', () => mongoose.model('fields')
+    .updateOne({ _id: item._id }, { pin: '1234' })
+    .then(() => request(app)
+      .get('/fields')
+      .query({ select: 'title +pin' })
+      .expect(200))
+    .then((res) => {
+      assert.equal(res.body[0].title, 'Test');
+      assert.equal(res.body[0].pin, undefined);
+      return mongoose.model('fields')
+        .updateOne({ _id: item._id }, { pin: '5678' })
+        .then(() => request(app)
+          .get('/fields')
+          .query({ select: 'title +pin' })
+          .set('If-None-Match', res.headers.etag)
+          .expect(304));
+    })
+    .then(() => request(app)
+      .get(`/fields/${item._id}`)
+      .query({ select: '+pin' })
+      .expect(200))
+    .then((res) => {
+      assert.equal(res.body.title, 'Test');
+      assert.equal(res.body.pin, undefined);
+    }));
+
+  it('Should reject a PATCH of a field that cannot be written', () => request(app)
+    .patch(`/fields/${item._id}`)
+    .send([{ op: 'replace', path: '/owner', value: 'me' }])
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors[0].name, 'OPERATION_PATH_FORBIDDEN');
+      return request(app)
+        .patch(`/fields/${item._id}`)
+        .send([{ op: 'test', path: '/password', value: 'pass' }])
+        .expect(400);
+    })
+    .then(() => request(app)
+      .patch(`/fields/${item._id}`)
+      .send([{ op: 'replace', path: '/password', value: 'new' }])
+      .expect(200))
+    .then((res) => {
+      assert.equal(res.body.password, undefined);
+      return mongoose.model('fields').findById(item._id).lean();
+    })
+    .then((doc) => {
+      assert.equal(doc.password, 'new');
+      assert.equal(doc.owner, 'system');
+    }));
+
+  it('Should reject the filters and sorts on the fields that cannot be read', () => request(app)
+    .get('/fields?secret__regex=^h')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.secret__regex.message, 'Filtering on secret is not allowed.');
+      return request(app)
+        .get('/fields?filter=secret==hush')
+        .expect(400);
+    })
+    .then((res) => {
+      assert.equal(res.body.errors.filter.message, 'Filtering on secret is not allowed.');
+      return request(app)
+        .get('/fields?sort=-password')
+        .expect(400);
+    })
+    .then((res) => {
+      assert.equal(res.body.errors.sort.message, 'Sorting on password is not allowed.');
+      return request(app)
+        .get('/fields?title=Test&sort=title')
+        .expect(200);
+    })
+    .then((res) => {
+      assert.equal(res.body.length, 1);
+    }));
+});
+
+describe('Test queryable', () => {
+  before(() => {
+    const queryableSchema = new mongoose.Schema({
+      title: String,
+      age: Number,
+      secret: String,
+    });
+
+    const queryable = Resource(app, '', 'queryable', mongoose.model('queryable', queryableSchema), {
+      queryable: {
+        filter: { title: true, age: ['eq', 'gt', 'lt'] },
+        sort: ['age'],
+      },
+    }).rest();
+
+    const parameters = queryable.swagger().paths['/queryable'].get.parameters;
+    assert.deepEqual(parameters.find((param) => param.name === 'age')['x-operators'], ['eq', 'gt', 'lt']);
+    assert.deepEqual(parameters.find((param) => param.name === 'sort')['x-sortable'], ['age']);
+    assert.equal(parameters.find((param) => param.name === 'secret'), undefined);
+
+    return request(app)
+      .post('/queryable')
+      .send(_.range(3).map((age) => ({ title: `Age ${age}`, age, secret: `${age}` })))
+      .expect(207);
+  });
+
+  it('Should allow the filters and sorts that are listed', () => request(app)
+    .get('/queryable?age__gt=0&title__regex=/age/i&sort=-age')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [2, 1]);
+    }));
+
+  it('Should reject the filters, operators and sorts that are not listed', () => request(app)
+    .get('/queryable?secret=1&age__ne=1&title__where=1&sort=title')
+    .expect('Content-Type', /json/)
+    .expect(400)
+    .then((res) => {
+      assert.deepEqual(Object.keys(res.body.errors).sort(), ['age__ne', 'secret', 'sort', 'title__where']);
+      assert.equal(res.body.errors.secret.message, 'Filtering on secret is not allowed.');
+      assert.equal(res.body.errors.age__ne.message, 'The ne operator is not allowed on age.');
+      assert.equal(res.body.errors.sort.message, 'Sorting on title is not allowed.');
+    }));
+
+  it('Should not allow other operators with the bracket syntax', () => request(app)
+    .get('/queryable?age[$ne]=1&title[$regex]=.*')
+    .expect(400)
+    .then((res) => {
+      assert.deepEqual(Object.keys(res.body.errors).sort(), ['age', 'title']);
+    }));
+
+  it('Should reject filters outside of the model', () => request(app)
+    .get('/queryable?$where=1')
+    .expect(400)
+    .then((res) => {
+      assert.ok(res.body.errors.$where);
+    }));
+});
+
+describe('Test query selectors', () => {
+  before(() => {
+    const selectorSchema = new mongoose.Schema({
+      title: String,
+      age: Number,
+      tags: [String],
+    });
+
+    Resource(app, '', 'selector', mongoose.model('selector', selectorSchema), {
+      selectors: {
+        between: (value, filter) => {
+          const [from, to] = value.split(',').map(filter.getValue);
+          return { $gte: from, $lte: to };
+        },
+        regex: null,
+      },
+    }).rest();
+
+    return request(app)
+      .post('/selector')
+      .send(_.range(4).map((age) => ({ title: `Age ${age}`, age, tags: _.range(age).map((tag) => `${tag}`) })))
+      .expect(207);
+  });
+
+  it('Should reject an unknown selector', () => request(app)
+    .get('/selector?title__where=1&age__gt=1')
+    .expect('Content-Type', /json/)
+    .expect(400)
+    .then((res) => {
+      assert.deepEqual(Object.keys(res.body.errors), ['title__where']);
+      assert.equal(res.body.errors.title__where.message, 'Unknown selector where in title__where.');
+    }));
+
+  it('Should reject a selector disabled on the resource', () => request(app)
+    .get('/selector?title__regex=age')
+    .expect(400));
+
+  it('Should reject query operators in the filter names', () => request(app)
+    .get('/selector?$where=sleep(100)')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.$where.message, 'The filter $where is not allowed.');
+    }));
+
+  it('Should reject query operators in the bracket syntax', () => request(app)
+    .get('/selector?title[$regex]=.*')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.title.message, 'The filter title must be a string or a list of strings.');
+    }));
+
+  it('Should filter with a custom selector', () => request(app)
+    .get('/selector?age__between=1,2&sort=age')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [1, 2]);
+    }));
+
+  it('Should filter on the size of an array', () => request(app)
+    .get('/selector?tags__size=3')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.age), [3]);
+      return request(app)
+        .get('/selector?tags__size=many')
+        .expect(400);
+    }));
+});
+
+describe('Test filter parameter', () => {
+  const titles = (res) => res.body.map((item) => item.title).sort();
+
+  before(() => {
+    const filterSchema = new mongoose.Schema({
+      title: String,
+      status: String,
+      age: Number,
+      vip: Boolean,
+    });
+
+    Resource(app, '', 'filter', mongoose.model('filter', filterSchema), {
+      queryable: { filter: { title: true, status: true, age: ['eq', 'gt', 'lt', 'in'], vip: ['eq'] } },
+    }).rest();
+
+    const filterField = Resource(app, '', 'filterfield', mongoose.model('filterfield', new mongoose.Schema({
+      title: String,
+      filter: String,
+    })), { filterParam: 'where' }).rest();
+    const parameters = filterField.swagger().paths['/filterfield'].get.parameters.map((param) => param.name);
+    assert.ok(parameters.includes('where'));
+    assert.ok(!parameters.includes('filter'));
+
+    // Without the option, a filter field keeps its filter.
+    Resource(app, '', 'filtername', mongoose.model('filtername', new mongoose.Schema({
+      title: String,
+      filter: String,
+    }))).rest();
+
+    return request(app)
+      .post('/filter')
+      .send([
+        { title: 'one', status: 'active', age: 17, vip: true },
+        { title: 'two', status: 'active', age: 30, vip: false },
+        { title: 'three', status: 'active', age: 12, vip: false },
+        { title: 'four', status: 'closed', age: 40, vip: true },
+      ])
+      .expect(207)
+      .then(() => request(app)
+        .post('/filterfield')
+        .send([{ title: 'one', filter: 'a' }, { title: 'two', filter: 'b' }, { title: 'three', filter: 'b' }])
+        .expect(207))
+      .then(() => request(app)
+        .post('/filtername')
+        .send([{ title: 'one', filter: 'a' }, { title: 'two', filter: 'b' }])
+        .expect(207));
+  });
+
+  it('Should filter with an RSQL expression', () => request(app)
+    .get('/filter')
+    .query({ filter: 'status==active;(age>18,vip==true)' })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(titles(res), ['one', 'two']);
+    }));
+
+  it('Should filter with a JSON expression', () => request(app)
+    .get('/filter')
+    .query({ filter: JSON.stringify({ status: 'active', $or: [{ age: { $gt: 18 } }, { vip: true }] }) })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(titles(res), ['one', 'two']);
+    }));
+
+  it('Should keep the types of the JSON values', () => request(app)
+    .get('/filter')
+    .query({ filter: JSON.stringify({ title: { $exists: false } }) })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(titles(res), []);
+      return request(app)
+        .get('/filter')
+        .query({ filter: JSON.stringify({ age: { $in: 30 } }) })
+        .expect(200);
+    })
+    .then((res) => {
+      assert.deepEqual(titles(res), ['two']);
+    }));
+
+  it('Should combine the filter with the other query parameters', () => request(app)
+    .get('/filter')
+    .query({ filter: 'age=in=(12,30,40) or title=="one"', status: 'active' })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(titles(res), ['one', 'three', 'two']);
+    }));
+
+  it('Should reject an invalid filter', () => request(app)
+    .get('/filter')
+    .query({ filter: 'status==active;(age>18' })
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.filter.message, 'Expected ) at position 22 of the filter.');
+    }));
+
+  it('Should reject the operators and fields that are not allowed', () => request(app)
+    .get('/filter')
+    .query({ filter: 'vip!=true' })
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.filter.message, 'The ne operator is not allowed on vip.');
+      return request(app)
+        .get('/filter')
+        .query({ filter: JSON.stringify({ $where: 'true' }) })
+        .expect(400);
+    })
+    .then(() => request(app)
+      .get('/filter')
+      .query({ filter: 'secret==1' })
+      .expect(400)));
+
+  it('Should rename the filter parameter with the filterParam option', () => request(app)
+    .get('/filterfield')
+    .query({ filter: 'b', where: 'title=in=(one,two)' })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(titles(res), ['two']);
+    }));
+
+  it('Should filter on a filter field without the filterParam option', () => request(app)
+    .get('/filtername')
+    .query({ filter: 'b' })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(titles(res), ['two']);
+    }));
+});
+
+describe('Test full-text search', () => {
+  before(() => {
+    const searchSchema = new mongoose.Schema({
+      title: String,
+      body: String,
+    });
+    searchSchema.index({ title: 'text', body: 'text' });
+    const Search = mongoose.model('search', searchSchema);
+
+    const search = Resource(app, '', 'search', Search).rest();
+    assert.ok(search.swagger().paths['/search'].get.parameters.find((param) => param.name === 'q'));
+    Resource(app, '', 'searchfield', mongoose.model('searchfield', new mongoose.Schema({ q: String }))).rest();
+
+    return Search.init()
+      .then(() => request(app)
+        .post('/search')
+        .send([
+          { title: 'Apples', body: 'Green apples and red apples' },
+          { title: 'Pears', body: 'Pears are not apples' },
+          { title: 'Bananas', body: 'Yellow and long' },
+        ])
+        .expect(207))
+      .then(() => request(app)
+        .post('/searchfield')
+        .send([{ q: 'a' }, { q: 'b' }])
+        .expect(207));
+  });
+
+  it('Should search the text index', () => request(app)
+    .get('/search?q=apples')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.title).sort(), ['Apples', 'Pears']);
+    }));
+
+  it('Should select and sort on the score', () => request(app)
+    .get('/search?q=apples&select=title,score&sort=score')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.title), ['Apples', 'Pears']);
+      assert.ok(res.body[0].score > res.body[1].score);
+      assert.equal(res.body[0].body, undefined);
+    }));
+
+  it('Should reject a search without a text index', () => request(app)
+    .get('/filter?q=apples')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.q.message, 'Full-text search is not available on filter.');
+    }));
+
+  it('Should filter on a q field without a text index', () => request(app)
+    .get('/searchfield?q=b')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.q), ['b']);
+    }));
+});
+
+describe('Test geospatial selectors', () => {
+  before(() => {
+    const placeSchema = new mongoose.Schema({
+      name: String,
+      location: {
+        type: { type: String, enum: ['Point'] },
+        coordinates: [Number],
+      },
+    });
+    placeSchema.index({ location: '2dsphere' });
+    const Place = mongoose.model('place', placeSchema);
+
+    const place = Resource(app, '', 'place', Place).rest();
+    const parameters = place.swagger().paths['/place'].get.parameters.map((param) => param.name);
+    assert.ok(parameters.includes('location__near'));
+    assert.ok(parameters.includes('location__within'));
+    assert.ok(parameters.includes('location__geoIntersects'));
+
+    return Place.init()
+      .then(() => request(app)
+        .post('/place')
+        .send([
+          { name: 'Origin', location: { type: 'Point', coordinates: [0, 0] } },
+          { name: 'Close', location: { type: 'Point', coordinates: [0, 0.01] } },
+          { name: 'Far', location: { type: 'Point', coordinates: [1, 1] } },
+        ])
+        .expect(207));
+  });
+
+  it('Should sort the items by distance', () => request(app)
+    .get('/place?location__near=0.001,0.001')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.name), ['Origin', 'Close', 'Far']);
+    }));
+
+  it('Should count the items within the maximum distance', () => request(app)
+    .get('/place?location__near=0,0,2000')
+    .expect('Content-Range', '0-1/2')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.name), ['Origin', 'Close']);
+    }));
+
+  it('Should find the items within a bounding box', () => request(app)
+    .get('/place?location__within=-0.5,-0.5,0.5,0.5&sort=name')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.name), ['Close', 'Origin']);
+    }));
+
+  it('Should find the items within a GeoJSON polygon', () => request(app)
+    .get('/place')
+    .query({
+      location__within: JSON.stringify({
+        type: 'Polygon',
+        coordinates: [[[0.5, 0.5], [1.5, 0.5], [1.5, 1.5], [0.5, 1.5], [0.5, 0.5]]],
+      }),
+    })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.name), ['Far']);
+    }));
+
+  it('Should find the items intersecting a geometry', () => request(app)
+    .get('/place')
+    .query({ location__geoIntersects: JSON.stringify({ type: 'Point', coordinates: [1, 1] }) })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.name), ['Far']);
+    }));
+
+  it('Should use the geospatial selectors in the filter parameter', () => request(app)
+    .get('/place')
+    .query({ filter: 'location=near=(0,0,2000);name!=Origin' })
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.name), ['Close']);
+    }));
+
+  it('Should reject invalid coordinates', () => request(app)
+    .get('/place?location__near=200,0')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.location__near.message, 'Invalid value 200,0 for the near selector on location.');
+    }));
+
+  it('Should reject geospatial selectors on other fields', () => request(app)
+    .get('/place?name__near=0,0')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.name__near.message, 'name is not a geospatial field.');
+    }));
+});
+
+describe('Test facets', () => {
+  before(() => {
+    const facetSchema = new mongoose.Schema({
+      title: String,
+      status: String,
+      tags: [String],
+      deleted: Date,
+    });
+    const Facet = mongoose.model('facet', facetSchema);
+
+    const facet = Resource(app, '', 'facet', Facet, {
+      facets: ['status', 'tags'],
+      softDelete: true,
+      fields: { tags: (req) => (req.headers['x-guest'] ? 'writeOnly' : null) },
+    }).rest();
+    assert.ok(facet.swagger().paths['/facet'].get.parameters.find((param) => param.name === 'facets'));
+    Resource(app, '', 'facetsfield', mongoose.model('facetsfield', new mongoose.Schema({
+      title: String,
+      facets: [String],
+    }))).rest();
+
+    return request(app)
+      .post('/facet')
+      .send([
+        { title: 'One', status: 'active', tags: ['red', 'blue'] },
+        { title: 'Two', status: 'active', tags: ['red'] },
+        { title: 'Three', status: 'inactive', tags: [] },
+        { title: 'Four', status: 'active', tags: ['blue'] },
+      ])
+      .expect(207)
+      .then((res) => request(app)
+        .delete(`/facet/${res.body[3].item._id}`)
+        .expect(200))
+      .then(() => request(app)
+        .post('/facetsfield')
+        .send([{ title: 'Faceted', facets: ['status'] }, { title: 'Plain', facets: [] }])
+        .expect(207));
+  });
+
+  const sortFacet = (facet) => facet.slice().sort((a, b) => `${a.value}`.localeCompare(`${b.value}`));
+
+  it('Should return the facets in a header', () => request(app)
+    .get('/facet?facets=status,tags&limit=1')
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.length, 1);
+      const facets = JSON.parse(res.headers['x-facets']);
+      assert.deepEqual(facets.status, [{ value: 'active', count: 2 }, { value: 'inactive', count: 1 }]);
+      assert.deepEqual(sortFacet(facets.tags), [{ value: 'blue', count: 1 }, { value: 'red', count: 2 }]);
+    }));
+
+  it('Should return the facets in the envelope', () => request(app)
+    .get('/facet?facets=status&envelope=true&title__ne=Two')
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.headers['x-facets'], undefined);
+      assert.deepEqual(sortFacet(res.body.meta.facets.status), [
+        { value: 'active', count: 1 },
+        { value: 'inactive', count: 1 },
+      ]);
+    }));
+
+  it('Should reject facets that are not allowed', () => request(app)
+    .get('/facet?facets=title')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.facets.message, 'Facets on title are not allowed.');
+    }));
+
+  it('Should reject facets on the fields the request may not read', () => request(app)
+    .get('/facet?facets=status,tags')
+    .set('X-Guest', 'true')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.facets.message, 'Facets on tags are not allowed.');
+    }));
+
+  it('Should reject facets on resources without the facets option', () => request(app)
+    .get('/filter?facets=title')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.facets.message, 'Facets are not available on filter.');
+    }));
+
+  it('Should filter on a facets field of a resource without the facets option', () => request(app)
+    .get('/facetsfield?facets=status')
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.headers['x-facets'], undefined);
+      assert.deepEqual(res.body.map((item) => item.title), ['Faceted']);
+    }));
+});
+
+describe('Test aggregations', () => {
+  const cache = new Map();
+  let pipelineCalls = 0;
+
+  before(() => {
+    const saleSchema = new mongoose.Schema({
+      product: String,
+      category: String,
+      amount: Number,
+    });
+    const Sale = mongoose.model('sale', saleSchema);
+
+    const sale = Resource(app, '', 'sale', Sale, {
+      aggregations: {
+        'by-category': {
+          description: 'The total amount of the sales of each category.',
+          pipeline: () => {
+            pipelineCalls++;
+            return [
+              { $group: { _id: '$category', total: { $sum: '$amount' } } },
+              { $sort: { _id: 1 } },
+            ];
+          },
+          schema: {
+            type: 'object',
+            properties: { _id: { type: 'string' }, total: { type: 'integer' } },
+          },
+          cache: {
+            get: (key) => cache.get(key),
+            set: (key, value) => cache.set(key, value),
+          },
+        },
+      },
+    }).rest({
+      before(req, res, next) {
+        if (req.headers['x-category']) {
+          req.modelQuery = Sale.where('category', req.headers['x-category']);
+        }
+        next();
+      },
+    });
+
+    const path = sale.swagger().paths['/sale/aggregate/by-category'];
+    assert.equal(path.get.description, 'The total amount of the sales of each category.');
+    assert.equal(path.get.responses[200].schema.items.properties.total.type, 'integer');
+
+    return request(app)
+      .post('/sale')
+      .send([
+        { product: 'Apples', category: 'fruit', amount: 4 },
+        { product: 'Pears', category: 'fruit', amount: 6 },
+        { product: 'Carrots', category: 'vegetable', amount: 3 },
+        { product: 'Leeks', category: 'vegetable', amount: 8 },
+      ])
+      .expect(207);
+  });
+
+  it('Should run the aggregation', () => request(app)
+    .get('/sale/aggregate/by-category')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, [{ _id: 'fruit', total: 10 }, { _id: 'vegetable', total: 11 }]);
+    }));
+
+  it('Should filter the items before the aggregation', () => request(app)
+    .get('/sale/aggregate/by-category?amount__gt=5')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, [{ _id: 'fruit', total: 6 }, { _id: 'vegetable', total: 8 }]);
+    }));
+
+  it('Should only aggregate the items of the model query', () => request(app)
+    .get('/sale/aggregate/by-category')
+    .set('X-Category', 'fruit')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, [{ _id: 'fruit', total: 10 }]);
+    }));
+
+  it('Should page through the results', () => request(app)
+    .get('/sale/aggregate/by-category?skip=1&limit=1')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, [{ _id: 'vegetable', total: 11 }]);
+    }));
+
+  it('Should return the cached results', () => {
+    const calls = pipelineCalls;
+    const size = cache.size;
+    return request(app)
+      .get('/sale/aggregate/by-category')
+      .expect(200)
+      .then((res) => {
+        assert.deepEqual(res.body, [{ _id: 'fruit', total: 10 }, { _id: 'vegetable', total: 11 }]);
+        assert.equal(pipelineCalls, calls + 1);
+        assert.equal(cache.size, size);
+      });
+  });
+
+  it('Should reject invalid filters', () => request(app)
+    .get('/sale/aggregate/by-category?amount__foo=5')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.amount__foo.message, 'Unknown selector foo in amount__foo.');
+    }));
+});
+
+describe('Test type coercion', () => {
+  before(() => {
+    const coercionSchema = new mongoose.Schema({
+      title: String,
+      price: Number,
+      cost: mongoose.Schema.Types.Decimal128,
+      active: Boolean,
+      scores: [Number],
+      lines: [{ quantity: Number }],
+      code: mongoose.Schema.Types.UUID,
+    });
+    const Coercion = mongoose.model('coercion', coercionSchema);
+
+    Resource(app, '', 'coercion', Coercion).rest();
+
+    return request(app)
+      .post('/coercion')
+      .send([
+        {
+          title: 'one',
+          price: 9.99,
+          cost: '4.25',
+          active: true,
+          scores: [1, 3],
+          lines: [{ quantity: 1 }],
+          code: '09190f70-3d30-11e5-8814-0f4df9a59c41',
+        },
+        {
+          title: 'two',
+          price: 9,
+          cost: '8.50',
+          active: false,
+          scores: [2],
+          lines: [{ quantity: 1 }, { quantity: 3 }],
+          code: 'e1f2a3b4-3d30-11e5-8814-0f4df9a59c41',
+        },
+      ])
+      .expect(207);
+  });
+
+  const titles = (res) => res.body.map((item) => item.title).sort();
+
+  it('Should keep the decimals of numbers', () => request(app)
+    .get('/coercion?price=9.99')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['one'])));
+
+  it('Should convert Decimal128 values', () => request(app)
+    .get('/coercion?cost__gt=5.1')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['two'])));
+
+  it('Should convert Boolean values', () => request(app)
+    .get('/coercion?active__in=no')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['two'])));
+
+  it('Should convert the items of arrays', () => request(app)
+    .get('/coercion?scores__gte=3')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['one'])));
+
+  it('Should convert the fields of document arrays', () => request(app)
+    .get('/coercion?lines.quantity__gt=2')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['two'])));
+
+  it('Should convert UUID values', () => request(app)
+    .get('/coercion?code=09190f70-3d30-11e5-8814-0f4df9a59c41')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['one'])));
+
+  it('Should reject values that cannot be converted', () => request(app)
+    .get('/coercion?price__gt=cheap&active=maybe')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.price__gt.message, 'Invalid Number cheap for price.');
+      assert.equal(res.body.errors.active.message, 'Invalid Boolean maybe for active.');
+    }));
+});
+
+describe('Test nested paths', () => {
+  before(() => {
+    const orderSchema = new mongoose.Schema({
+      title: String,
+      address: {
+        city: String,
+        zip: Number,
+      },
+      rating: new mongoose.Schema({ score: Number }),
+      lines: [{ product: String, quantity: Number }],
+    });
+    const Order = mongoose.model('order', orderSchema);
+
+    Resource(app, '', 'order', Order).rest();
+
+    return request(app)
+      .post('/order')
+      .send([
+        {
+          title: 'one',
+          address: { city: 'Amsterdam', zip: 1011 },
+          rating: { score: 4.5 },
+          lines: [{ product: 'apple', quantity: 1 }, { product: 'pear', quantity: 5 }],
+        },
+        {
+          title: 'two',
+          address: { city: 'Rotterdam', zip: 3011 },
+          rating: { score: 3 },
+          lines: [{ product: 'apple', quantity: 5 }],
+        },
+      ])
+      .expect(207);
+  });
+
+  const titles = (res) => res.body.map((item) => item.title).sort();
+
+  it('Should filter on the fields of nested objects', () => request(app)
+    .get('/order?address.city__regex=/^amster/i&address.zip__lt=2000')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['one'])));
+
+  it('Should filter on the fields of subdocuments', () => request(app)
+    .get('/order?rating.score__gt=4.2')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['one'])));
+
+  it('Should filter on the fields of document arrays', () => request(app)
+    .get('/order?lines.quantity__gte=5')
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['one', 'two'])));
+
+  it('Should match the items of document arrays', () => request(app)
+    .get('/order')
+    .query({ lines__elemMatch: 'product==apple;quantity>=5' })
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['two'])));
+
+  it('Should match the items of document arrays with JSON', () => request(app)
+    .get('/order')
+    .query({ lines__elemMatch: JSON.stringify({ product: 'pear', quantity: { $gt: '1' } }) })
+    .expect(200)
+    .then((res) => assert.deepEqual(titles(res), ['one'])));
+
+  it('Should reject unknown fields in elemMatch', () => request(app)
+    .get('/order')
+    .query({ lines__elemMatch: 'price>1' })
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.lines__elemMatch.message, 'Unknown field price in the filter.');
+    }));
+
+  it('Should reject elemMatch on other fields', () => request(app)
+    .get('/order?title__elemMatch=a==1')
+    .expect(400)
+    .then((res) => {
+      assert.equal(
+        res.body.errors.title__elemMatch.message,
+        'The elemMatch selector requires an array of subdocuments in title.'
+      );
+    }));
+});
+
+describe('Test projections', () => {
+  let book = null;
+
+  before(() => {
+    const writerSchema = new mongoose.Schema({ name: String, email: String });
+    const Writer = mongoose.model('writer', writerSchema);
+    const bookSchema = new mongoose.Schema({
+      title: String,
+      summary: String,
+      isbn: String,
+      details: { pages: Number, language: String },
+      writer: { type: mongoose.Schema.Types.ObjectId, ref: 'writer' },
+    });
+    const Book = mongoose.model('book', bookSchema);
+
+    Resource(app, '', 'writer', Writer).rest();
+    Resource(app, '', 'book', Book, { fields: { isbn: 'hidden' } }).rest();
+
+    return request(app)
+      .post('/writer')
+      .send({ name: 'Jane', email: 'jane@example.com' })
+      .expect(201)
+      .then((res) => request(app)
+        .post('/book')
+        .send({
+          title: 'Emma',
+          summary: 'A novel',
+          isbn: '123',
+          details: { pages: 474, language: 'en' },
+          writer: res.body._id,
+        })
+        .expect(201))
+      .then((res) => {
+        book = res.body;
+      });
+  });
+
+  it('Should select dotted paths', () => request(app)
+    .get(`/book/${book._id}?select=details.pages`)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, { _id: book._id, details: { pages: 474 } });
+    }));
+
+  it('Should exclude fields', () => request(app)
+    .get(`/book/${book._id}?select=-summary,-details.language`)
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.title, 'Emma');
+      assert.equal(res.body.summary, undefined);
+      assert.deepEqual(res.body.details, { pages: 474 });
+    }));
+
+  it('Should select the fields of populated relations', () => request(app)
+    .get(`/book/${book._id}?select=title,writer.name&populate=writer`)
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.title, 'Emma');
+      assert.equal(res.body.summary, undefined);
+      assert.equal(res.body.writer.name, 'Jane');
+      assert.equal(res.body.writer.email, undefined);
+    }));
+
+  it('Should select the fields of populated relations in the index', () => request(app)
+    .get('/book?select=title,writer.name&populate=writer')
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body[0].title, 'Emma');
+      assert.equal(res.body[0].writer.name, 'Jane');
+      assert.equal(res.body[0].writer.email, undefined);
+    }));
+
+  it('Should never select the forbidden fields', () => request(app)
+    .get(`/book/${book._id}?select=title,isbn`)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body, { _id: book._id, title: 'Emma' });
+    }));
+
+  it('Should respond with a weak ETag of the selection', () => request(app)
+    .get(`/book/${book._id}?select=title`)
+    .expect(200)
+    .then((res) => {
+      assert(res.headers.etag.startsWith('W/'));
+      return request(app)
+        .get(`/book/${book._id}?select=title`)
+        .set('If-None-Match', res.headers.etag)
+        .expect(304);
+    }));
+
+  it('Should change the ETag when a populated item changes', () => request(app)
+    .get(`/book/${book._id}?populate=writer`)
+    .expect(200)
+    .then((res) => request(app)
+      .patch(`/writer/${book.writer}`)
+      .send([{ op: 'replace', path: '/name', value: 'Jane Austen' }])
+      .expect(200)
+      .then(() => request(app)
+        .get(`/book/${book._id}?populate=writer`)
+        .set('If-None-Match', res.headers.etag)
+        .expect(200)))
+    .then((res) => {
+      assert.equal(res.body.writer.name, 'Jane Austen');
+    }));
+});
+
+describe('Test populate rules', () => {
+  const novels = [];
+
+  before(() => {
+    const Publisher = mongoose.model('publisher', new mongoose.Schema({ name: String, country: String }));
+    const Novelist = mongoose.model('novelist', new mongoose.Schema({
+      name: String,
+      email: String,
+      publisher: { type: mongoose.Schema.Types.ObjectId, ref: 'publisher' },
+      deleted: Date,
+    }));
+    const Novel = mongoose.model('novel', new mongoose.Schema({
+      title: String,
+      novelist: { type: mongoose.Schema.Types.ObjectId, ref: 'novelist' },
+      editor: { type: mongoose.Schema.Types.ObjectId, ref: 'novelist' },
+    }));
+
+    Resource(app, '', 'publisher', Publisher).rest();
+    const novelist = Resource(app, '', 'novelist', Novelist, {
+      fields: { email: 'hidden' },
+      softDelete: true,
+    }).rest();
+    const novel = Resource(app, '', 'novel', Novel, {
+      populate: {
+        novelist: {
+          resource: novelist,
+          populate: { publisher: { select: ['name'] } },
+        },
+      },
+    }).rest();
+
+    const populate = novel.swagger().paths['/novel'].get.parameters.find((param) => param.name === 'populate');
+    assert.ok(populate.description.endsWith('Allowed: novelist, novelist.publisher.'));
+
+    let publisher = null;
+    return request(app)
+      .post('/publisher')
+      .send({ name: 'Penguin', country: 'UK' })
+      .expect(201)
+      .then((res) => {
+        publisher = res.body;
+        return request(app)
+          .post('/novelist')
+          .send([
+            { name: 'Jane', email: 'jane@example.com', publisher: publisher._id },
+            { name: 'Charlotte', email: 'charlotte@example.com', publisher: publisher._id },
+          ])
+          .expect(207);
+      })
+      .then((res) => request(app)
+        .post('/novel')
+        .send([
+          { title: 'Emma', novelist: res.body[0].item._id, editor: res.body[1].item._id },
+          { title: 'Jane Eyre', novelist: res.body[1].item._id },
+        ])
+        .expect(207))
+      .then((res) => {
+        novels.push(...res.body.map((result) => result.item));
+        return request(app)
+          .delete(`/novelist/${novels[1].novelist}`)
+          .expect(200);
+      });
+  });
+
+  it('Should apply the fields option of the related resource', () => request(app)
+    .get(`/novel/${novels[0]._id}?populate=novelist`)
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.novelist.name, 'Jane');
+      assert.equal(res.body.novelist.email, undefined);
+    }));
+
+  it('Should populate nested refs with the fields of their rule', () => request(app)
+    .get(`/novel/${novels[0]._id}?populate=novelist.publisher`)
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.novelist.publisher.name, 'Penguin');
+      assert.equal(res.body.novelist.publisher.country, undefined);
+    }));
+
+  it('Should apply the scope of the related resource', () => request(app)
+    .get(`/novel/${novels[1]._id}?populate=novelist`)
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.novelist, null);
+    }));
+
+  it('Should reject refs that are not allowed', () => request(app)
+    .get('/novel?populate=editor')
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.populate.message, 'Populating editor is not allowed.');
+    }));
+
+  it('Should reject refs deeper than the rules', () => request(app)
+    .get(`/novel/${novels[0]._id}?populate=novelist.publisher.owner`)
+    .expect(400)
+    .then((res) => {
+      assert.equal(res.body.errors.populate.message, 'Populating novelist.publisher.owner is not allowed.');
+    }));
+});
+
+describe('Test parent option', () => {
+  const teams = [];
+  let player = null;
+
+  before(() => {
+    const Team = mongoose.model('team', new mongoose.Schema({ name: String }));
+    const Player = mongoose.model('player', new mongoose.Schema({
+      name: String,
+      team: { type: mongoose.Schema.Types.ObjectId, ref: 'team' },
+    }));
+
+    Resource(app, '', 'team', Team).rest();
+    const players = Resource(app, '/team/:teamId', 'player', Player, { parent: 'team' }).rest();
+    assert.equal(players.swagger().definitions.player.properties.team.readOnly, true);
+
+    return request(app)
+      .post('/team')
+      .send([{ name: 'Ajax' }, { name: 'Feyenoord' }])
+      .expect(207)
+      .then((res) => {
+        teams.push(...res.body.map((result) => result.item));
+        return request(app)
+          .post(`/team/${teams[1]._id}/player`)
+          .send({ name: 'Other' })
+          .expect(201);
+      });
+  });
+
+  it('Should set the parent of created items', () => request(app)
+    .post(`/team/${teams[0]._id}/player`)
+    .send({ name: 'Johan', team: teams[1]._id })
+    .expect(201)
+    .then((res) => {
+      player = res.body;
+      assert.equal(player.team, teams[0]._id);
+    }));
+
+  it('Should only list the items of the parent', () => request(app)
+    .get(`/team/${teams[0]._id}/player`)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.name), ['Johan']);
+    }));
+
+  it('Should not reach the items of another parent', () => request(app)
+    .get(`/team/${teams[1]._id}/player/${player._id}`)
+    .expect(404)
+    .then(() => request(app)
+      .delete(`/team/${teams[1]._id}/player/${player._id}`)
+      .expect(404)));
+
+  it('Should not move an item to another parent with PUT', () => request(app)
+    .put(`/team/${teams[0]._id}/player/${player._id}`)
+    .send({ name: 'Johan Cruijff', team: teams[1]._id })
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.name, 'Johan Cruijff');
+      assert.equal(res.body.team, teams[0]._id);
+    }));
+
+  it('Should not move an item to another parent with PATCH', () => request(app)
+    .patch(`/team/${teams[0]._id}/player/${player._id}`)
+    .send([{ op: 'replace', path: '/team', value: teams[1]._id }])
+    .expect(400));
+
+  it('Should respond with a 404 when the parent does not exist', () => request(app)
+    .get('/team/000000000000000000000000/player')
+    .expect(404)
+    .then(() => request(app)
+      .post('/team/invalid/player')
+      .send({ name: 'Nobody' })
+      .expect(404)));
+});
+
+describe('Test tenant option', () => {
+  let mine = null;
+  let theirs = null;
+
+  before(() => {
+    const Ledger = mongoose.model('ledger', new mongoose.Schema({ title: String, tenant: String }));
+    Resource(app, '', 'ledger', Ledger, { tenant: (req) => req.headers['x-tenant'] })
+      .rest()
+      .virtual({
+        path: 'titles',
+        before: (req, res, next) => {
+          req.modelQuery = Ledger.find().select('title');
+          return next();
+        },
+      })
+      .virtual({
+        path: 'count',
+        before: (req, res, next) => {
+          req.modelQuery = Ledger.aggregate().group({ _id: null, count: { $sum: 1 } });
+          return next();
+        },
+      });
+    Resource(app, '', 'entry', mongoose.model('entry', new mongoose.Schema({
+      title: String,
+      tenant: String,
+      ledger: { type: mongoose.Schema.Types.ObjectId, ref: 'ledger' },
+    })), { tenant: (req) => req.headers['x-tenant'] }).rest();
+
+    return request(app)
+      .post('/ledger')
+      .set('X-Tenant', 'theirs')
+      .send([{ title: 'one' }, { title: 'two' }])
+      .expect(207)
+      .then((res) => {
+        theirs = res.body[0].item;
+      });
+  });
+
+  it('Should set the tenant of created items', () => request(app)
+    .post('/ledger')
+    .set('X-Tenant', 'mine')
+    .send({ title: 'three', tenant: 'theirs' })
+    .expect(201)
+    .then((res) => {
+      mine = res.body;
+      assert.equal(mine.tenant, 'mine');
+    }));
+
+  it('Should only list the items of the tenant', () => request(app)
+    .get('/ledger')
+    .set('X-Tenant', 'mine')
+    .expect('Content-Range', '0-0/1')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.title), ['three']);
+    }));
+
+  it('Should not reach the items of another tenant', () => request(app)
+    .get(`/ledger/${theirs._id}`)
+    .set('X-Tenant', 'mine')
+    .expect(404)
+    .then(() => request(app)
+      .put(`/ledger/${theirs._id}`)
+      .set('X-Tenant', 'mine')
+      .send({ title: 'changed' })
+      .expect(404))
+    .then(() => request(app)
+      .patch(`/ledger/${theirs._id}`)
+      .set('X-Tenant', 'mine')
+      .send([{ op: 'replace', path: '/title', value: 'changed' }])
+      .expect(404))
+    .then(() => request(app)
+      .delete(`/ledger/${theirs._id}`)
+      .set('X-Tenant', 'mine')
+      .expect(404)));
+
+  it('Should not move an item to another tenant', () => request(app)
+    .put(`/ledger/${mine._id}`)
+    .set('X-Tenant', 'mine')
+    .send({ title: 'four', tenant: 'theirs' })
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.title, 'four');
+      assert.equal(res.body.tenant, 'mine');
+    }));
+
+  it('Should only reach the items of the tenant in virtual resources', () => request(app)
+    .get('/ledger/virtual/titles')
+    .set('X-Tenant', 'mine')
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.title), ['four']);
+      return request(app)
+        .get('/ledger/virtual/count')
+        .set('X-Tenant', 'theirs')
+        .expect(200);
+    })
+    .then((res) => {
+      assert.equal(res.body[0].count, 2);
+      return request(app)
+        .get('/ledger/virtual/count')
+        .expect(403);
+    }));
+
+  it('Should only populate the items of the tenant', () => request(app)
+    .post('/entry')
+    .set('X-Tenant', 'mine')
+    .send([{ title: 'own', ledger: mine._id }, { title: 'other', ledger: theirs._id }])
+    .expect(207)
+    .then(() => request(app)
+      .get('/entry?populate=ledger&sort=title')
+      .set('X-Tenant', 'mine')
+      .expect(200))
+    .then((res) => {
+      assert.deepEqual(res.body.map((item) => item.title), ['other', 'own']);
+      assert.equal(res.body[0].ledger, null);
+      assert.equal(res.body[1].ledger.title, 'four');
+      return request(app)
+        .get(`/entry/${res.body[0]._id}?populate=ledger`)
+        .set('X-Tenant', 'mine')
+        .expect(200);
+    })
+    .then((res) => {
+      assert.equal(res.body.ledger, null);
+    }));
+
+  it('Should reject requests without a tenant', () => request(app)
+    .get('/ledger')
+    .expect(403)
+    .then(() => request(app)
+      .post('/ledger')
+      .send({ title: 'five' })
+      .expect(403)));
+});
+
+describe('Test history', () => {
+  let item = null;
+  let note = null;
+
+  before(() => {
+    const Memo = mongoose.model('memo', new mongoose.Schema({ title: String, pin: String }));
+    Resource(app, '', 'memo', Memo, {
+      history: { actor: (req) => req.headers['x-user'] || null },
+      fields: { pin: 'writeOnly' },
+    }).rest();
+
+    const Note = mongoose.model('note', new mongoose.Schema({ title: String, owner: String }));
+    Resource(app, '', 'note', Note, { history: true }).rest({
+      before(req, res, next) {
+        req.modelQuery = Note.where('owner', req.headers['x-user']);
+        next();
+      },
+    });
+
+    return request(app)
+      .post('/memo')
+      .set('X-User', 'alice')
+      .send({ title: 'one', pin: '1234' })
+      .expect(201)
+      .then((res) => {
+        item = res.body;
+      })
+      .then(() => request(app)
+        .put(`/memo/${item._id}`)
+        .set('X-User', 'bob')
+        .send({ title: 'two' })
+        .expect(200))
+      .then(() => request(app)
+        .patch(`/memo/${item._id}`)
+        .send([{ op: 'replace', path: '/title', value: 'three' }])
+        .expect(200));
+  });
+
+  it('Should list the changes of an item', () => request(app)
+    .get(`/memo/${item._id}/history`)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((entry) => entry.version), [1, 2, 3]);
+      assert.deepEqual(res.body.map((entry) => entry.method), ['post', 'put', 'patch']);
+      assert.deepEqual(res.body.map((entry) => entry.actor), ['alice', 'bob', null]);
+      assert.deepEqual(res.body[2].patch, [{ op: 'replace', path: '/title', value: 'three' }]);
+      assert(res.body[0].date, 'The entries must have a date');
+    }));
+
+  it('Should not show unreadable fields in the changes', () => request(app)
+    .get(`/memo/${item._id}/history`)
+    .expect(200)
+    .then((res) => {
+      res.body.forEach((entry) => {
+        assert(!entry.patch.some((op) => op.path === '/pin'), 'The pin must not be in the history');
+      });
+    }));
+
+  it('Should return an item as it was at a version', () => request(app)
+    .get(`/memo/${item._id}/history/2`)
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body._id, item._id);
+      assert.equal(res.body.title, 'two');
+      assert(!res.body.hasOwnProperty('pin'), 'The pin must not be returned');
+    }));
+
+  it('Should record deletes', () => request(app)
+    .delete(`/memo/${item._id}`)
+    .expect(200)
+    .then(() => request(app)
+      .get(`/memo/${item._id}/history`)
+      .expect(200))
+    .then((res) => {
+      assert.equal(res.body[3].method, 'delete');
+      return request(app)
+        .get(`/memo/${item._id}/history/4`)
+        .expect(200);
+    })
+    .then((res) => {
+      assert.deepEqual(res.body, {});
+    }));
+
+  it('Should return 404 for unknown versions', () => request(app)
+    .get(`/memo/${item._id}/history/9`)
+    .expect(404)
+    .then(() => request(app)
+      .get('/memo/000000000000000000000000/history')
+      .expect(404)));
+
+  it('Should only return the history of the items the request can read', () => request(app)
+    .post('/note')
+    .send({ title: 'private', owner: 'alice' })
+    .expect(201)
+    .then((res) => {
+      note = res.body;
+      return request(app)
+        .get(`/note/${note._id}/history`)
+        .set('X-User', 'bob')
+        .expect(404);
+    })
+    .then(() => request(app)
+      .get(`/note/${note._id}/history/1`)
+      .set('X-User', 'bob')
+      .expect(404))
+    .then(() => request(app)
+      .get(`/note/${note._id}/history`)
+      .set('X-User', 'alice')
+      .expect(200))
+    .then((res) => {
+      assert.deepEqual(res.body.map((entry) => entry.method), ['post']);
+    }));
+});
+
+describe('Test revert', () => {
+  let item = null;
+  let reverts = 0;
+  let created = null;
+  let Draft = null;
+
+  before(() => {
+    Draft = mongoose.model('draft', new mongoose.Schema({ title: String, body: String }));
+    Resource(app, '', 'draft', Draft, { history: true }).rest({
+      hooks: {
+        put: {
+          before: (req, res, item, next) => {
+            reverts++;
+            return next();
+          },
+        },
+      },
+    });
+
+    return request(app)
+      .post('/draft')
+      .send({ title: 'one' })
+      .expect(201)
+      .then((res) => {
+        item = res.body;
+        created = new Date();
+      })
+      // Keep the put apart from the date of the post.
+      .then(() => new Promise((resolve) => setTimeout(resolve, 10)))
+      .then(() => request(app)
+        .put(`/draft/${item._id}`)
+        .send({ title: 'two', body: 'text' })
+        .expect(200));
+  });
+
+  it('Should revert an item to a version', () => request(app)
+    .post(`/draft/${item._id}/revert`)
+    .send({ version: 1 })
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.title, 'one');
+      assert(!res.body.hasOwnProperty('body'), 'The body must be removed');
+      assert.equal(reverts, 2);
+    }));
+
+  it('Should record the revert in the history', () => request(app)
+    .get(`/draft/${item._id}/history`)
+    .expect(200)
+    .then((res) => {
+      assert.deepEqual(res.body.map((entry) => entry.method), ['post', 'put', 'revert']);
+    }));
+
+  it('Should revert an item to a date', () => request(app)
+    .post(`/draft/${item._id}/revert`)
+    .send({ date: created.toISOString() })
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.title, 'one');
+    }));
+
+  it('Should reject a revert without a version or a date', () => request(app)
+    .post(`/draft/${item._id}/revert`)
+    .send({ version: 'last' })
+    .expect(400));
+
+  it('Should return 404 for an unknown version', () => request(app)
+    .post(`/draft/${item._id}/revert`)
+    .send({ date: '2000-01-01T00:00:00Z' })
+    .expect(404));
+
+  it('Should not rebuild the versions of an item created without history', () => Draft
+    .create({ title: 'legacy', body: 'kept' })
+    .then((legacy) => request(app)
+      .put(`/draft/${legacy._id}`)
+      .send({ title: 'changed', body: 'kept' })
+      .expect(200)
+      .then(() => request(app)
+        .get(`/draft/${legacy._id}/history/2`)
+        .expect(409))
+      .then(() => request(app)
+        .post(`/draft/${legacy._id}/revert`)
+        .send({ version: 2 })
+        .expect(409))
+      .then(() => request(app)
+        .get(`/draft/${legacy._id}`)
+        .expect(200))
+      .then((res) => {
+        assert.equal(res.body.title, 'changed');
+        assert.equal(res.body.body, 'kept');
+      })));
+});
+
+describe('Test merge patch', () => {
+  let item = null;
+
+  before(() => {
+    const Profile = mongoose.model('profile', new mongoose.Schema({
+      name: String,
+      bio: String,
+      address: { city: String, zip: String },
+      secret: String,
+    }));
+    Resource(app, '', 'profile', Profile, { fields: { secret: 'readOnly' } }).rest();
+
+    return request(app)
+      .post('/profile')
+      .send({ name: 'Ann', bio: 'Hello', address: { city: 'Paris', zip: '75001' } })
+      .expect(201)
+      .then((res) => {
+        item = res.body;
+      });
+  });
+
+  it('Should merge the fields of a merge patch', () => request(app)
+    .patch(`/profile/${item._id}`)
+    .set('Content-Type', 'application/merge-patch+json')
+    .send(JSON.stringify({ name: 'Anna', bio: null, address: { zip: '75002' } }))
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.name, 'Anna');
+      assert(!res.body.hasOwnProperty('bio'), 'The bio must be removed');
+      assert.deepEqual(res.body.address, { city: 'Paris', zip: '75002' });
+    }));
+
+  it('Should still apply JSON Patch operations', () => request(app)
+    .patch(`/profile/${item._id}`)
+    .set('Content-Type', 'application/json-patch+json')
+    .send(JSON.stringify([{ op: 'replace', path: '/name', value: 'Annie' }]))
+    .expect(200)
+    .then((res) => {
+      assert.equal(res.body.name, 'Annie');
+    }));
+
+  it('Should reject a merge patch on fields that may not be written', () => request(app)
+    .patch(`/profile/${item._id}`)
+    .set('Content-Type', 'application/merge-patch+json')
+    .send(JSON.stringify({ secret: 'changed' }))
+    .expect(400));
+
+  it('Should reject a merge patch that is not an object', () => request(app)
+    .patch(`/profile/${item._id}`)
+    .set('Content-Type', 'application/merge-patch+json')
+    .send(JSON.stringify([{ op: 'replace', path: '/name', value: 'Anne' }]))
+    .expect(400));
+
+  it('Should check If-Match on a merge patch', () => request(app)
+    .patch(`/profile/${item._id}`)
+    .set('Content-Type', 'application/merge-patch+json')
+    .set('If-Match', '"stale"')
+    .send(JSON.stringify({ name: 'Anne' }))
+    .expect(412));
+});
+
+describe('Test transactions', () => {
+  let Account = null;
+  let Audit = null;
+
+  before(async () => {
+    // Transactions need the replica set started in the connection tests.
+    Account = mongoose.model('account', new mongoose.Schema({ name: String }));
+    Audit = mongoose.model('audit', new mongoose.Schema({ account: String }));
+    await Account.createCollection();
+    await Audit.createCollection();
+    Resource(app, '', 'account', Account, { transactions: true }).rest({
+      hooks: {
+        post: {
+          after(req, res, item, next) {
+            // Write to another collection in the same transaction, then fail for some accounts.
+            Audit.create([{ account: item.name }], { session: req.session })
+              .then(() => next((item.name === 'unaudited') ? new Error('The audit failed.') : undefined), next);
+          },
+        },
+      },
+      afterPost(req, res, next) {
+        if (req.body.name === 'failing') {
+          return next(new Error('The account cannot be audited.'));
+        }
+        next();
+      },
+    });
+  });
+
+  it('Should commit the writes of a request', () => request(app)
+    .post('/account')
+    .send({ name: 'first' })
+    .expect(201)
+    .then(() => Promise.all([Account.countDocuments({ name: 'first' }), Audit.countDocuments({ account: 'first' })]))
+    .then(([accounts, audits]) => {
+      assert.equal(accounts, 1);
+      assert.equal(audits, 1);
+    }));
+
+  it('Should roll back the writes of a failed request', () => request(app)
+    .post('/account')
+    .send({ name: 'failing' })
+    .expect(400)
+    .then(() => Promise.all([
+      Account.countDocuments({ name: 'failing' }),
+      Audit.countDocuments({ account: 'failing' }),
+    ]))
+    .then(([accounts, audits]) => {
+      assert.equal(accounts, 0);
+      assert.equal(audits, 0);
+    }));
+
+  it('Should roll back the writes when an after hook fails', () => request(app)
+    .post('/account')
+    .send({ name: 'unaudited' })
+    .expect(500)
+    .then(() => Promise.all([
+      Account.countDocuments({ name: 'unaudited' }),
+      Audit.countDocuments({ account: 'unaudited' }),
+    ]))
+    .then(([accounts, audits]) => {
+      assert.equal(accounts, 0);
+      assert.equal(audits, 0);
+    }));
+
+  it('Should roll back a batch when the after hook of an item fails', () => request(app)
+    .post('/account')
+    .send([{ name: 'batched' }, { name: 'unaudited' }])
+    .expect(500)
+    .then(() => Promise.all([
+      Account.countDocuments({ name: { $in: ['batched', 'unaudited'] } }),
+      Audit.countDocuments({ account: { $in: ['batched', 'unaudited'] } }),
+    ]))
+    .then(([accounts, audits]) => {
+      assert.equal(accounts, 0);
+      assert.equal(audits, 0);
+    }));
+});
+
 describe('Test Swagger.io', () => {
 
 });
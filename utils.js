@@ -22,8 +22,19 @@ const set = (obj, path, value) => {
     return obj;
 };
 
+const unset = (obj, path) => {
+  if (!Array.isArray(path)) path = path.toString().split('.');
+  if (Array.isArray(obj)) return obj.forEach((item) => unset(item, path));
+  if (!isObjectLike(obj)) return;
+  if (path.length === 1) {
+    delete obj[path[0]];
+    return;
+  }
+  unset(obj[path[0]], path.slice(1));
+};
+
 const isEmpty = (obj) => {
   return !obj || (Object.entries(obj).length === 0 && obj.constructor === Object);
 };
 
-module.exports = { zipObject, isObjectLike, isEmpty, get, set };
+module.exports = { zipObject, isObjectLike, isEmpty, get, set, unset };